@@ -0,0 +1,101 @@
+const { hash } = require('../utils/hash')
+const { canonicalize } = require('../utils/serialize')
+const { safeAssign } = require('../utils/safeMerge')
+const { MerkleTree } = require('./MerkleTree')
+const { Transaction } = require('./Transaction')
+
+/*
+ * A Block wraps some data together with the hash of the block before it.
+ * index and previousHash are normally filled in by Blockchain.push, which
+ * is the only place that knows what the previous block is.
+ *  */
+function Block(data, previousHash, timestamp = Date.now()) {
+  this.index = 0
+  this.timestamp = timestamp
+  this.data = data
+  this.merkleRoot = this.calculateMerkleRoot()
+  this.previousHash = previousHash
+  this.difficulty = 0
+  this.nonce = 0
+  this.hash = this.calculateHash()
+}
+
+/*
+ * A list of transactions is summarised by the root of a Merkle tree of
+ * their hashes, anything else (the genesis block's text) by its own hash.
+ *  */
+Block.prototype.calculateMerkleRoot = function calculateMerkleRoot() {
+  if (Array.isArray(this.data)) {
+    return MerkleTree.fromTransactions(this.data).root
+  }
+  return hash(canonicalize(this.data), { algorithm: 'sha256' })
+}
+
+/*
+ * The hash covers every field of the block, so changing any of them (or the
+ * link to the previous block) produces a different hash. The transactions
+ * are covered through merkleRoot, so the hash doesn't grow with the block.
+ *  */
+Block.prototype.calculateHash = function calculateHash() {
+  const data = canonicalize({
+    index: this.index,
+    timestamp: this.timestamp,
+    merkleRoot: this.merkleRoot,
+    previousHash: this.previousHash,
+    difficulty: this.difficulty,
+    nonce: this.nonce,
+  })
+  return hash(data, { algorithm: 'sha256' })
+}
+
+/*
+ * Proof of work: keep changing the nonce until the hash starts with
+ * `difficulty` zeros. Each extra zero makes this ~16 times slower, and every
+ * attempt goes through calculateHash. Because calculateHash lives on
+ * Block.prototype, all those calls share a single function object no matter
+ * how many blocks are mined.
+ *  */
+Block.prototype.mine = function mine(difficulty = 0) {
+  this.difficulty = difficulty
+  this.nonce = 0
+  this.hash = this.calculateHash()
+  while (!this.isMined()) {
+    this.nonce++
+    this.hash = this.calculateHash()
+  }
+  return this
+}
+
+// whether the hash is up to date and meets the block's own difficulty
+Block.prototype.isMined = function isMined() {
+  return (
+    this.hash === this.calculateHash() &&
+    this.hash.startsWith('0'.repeat(this.difficulty))
+  )
+}
+
+/*
+ * Proof that the transaction at txIndex is part of this block. Anyone who
+ * knows the block's merkleRoot can check it with MerkleTree.verifyProof,
+ * without downloading the other transactions.
+ *  */
+Block.prototype.getProof = function getProof(txIndex) {
+  return MerkleTree.fromTransactions(this.data).getProof(txIndex)
+}
+
+/*
+ * Rebuilds a Block, and the Transactions in it, from its JSON form with the
+ * right prototypes. Nothing is recalculated: the stored hashes are kept so
+ * Blockchain.validate can tell whether the snapshot was tampered with.
+ * Snapshots come from other peers, so a "__proto__" key is refused rather
+ * than allowed to relink the block (see safeAssign).
+ *  */
+Block.fromJSON = function fromJSON(json) {
+  const block = safeAssign(Object.create(Block.prototype), json)
+  if (Array.isArray(block.data)) {
+    block.data = block.data.map((tx) => Transaction.fromJSON(tx))
+  }
+  return block
+}
+
+module.exports = { Block }
@@ -0,0 +1,357 @@
+const fs = require('node:fs')
+const { MyStore } = require('./MyStore')
+const { Block } = require('./Block')
+const { Transaction } = require('./Transaction')
+const { Ledger, applyTransaction, cost } = require('./Ledger')
+const { TransactionPool } = require('./TransactionPool')
+const { seal, lockProperty } = require('../utils/immutable')
+
+/*
+ * The genesis block is the first block of every chain. It has a fixed
+ * timestamp so two chains created at different times still agree on it.
+ *  */
+function createGenesisBlock() {
+  return new Block('Genesis Block', '0', 0)
+}
+
+/*
+ * Blockchain delegates storage to MyStore and only adds what is specific to
+ * a chain of blocks: linking each block to the previous one and checking
+ * that those links still hold.
+ *  */
+const Blockchain = Object.create(MyStore)
+
+/*
+ * Settings shared by every chain through delegation. A single chain can
+ * shadow them with its own value, e.g. chain.difficulty = 4, without
+ * affecting any other chain.
+ *  */
+Blockchain.difficulty = 2
+Blockchain.miningReward = 50
+Blockchain.blockSize = 10
+
+/*
+ * The genesis block validate expects every chain to start from. A chain
+ * that starts from a different one shadows this, like it would difficulty.
+ *  */
+Blockchain.createGenesisBlock = createGenesisBlock
+
+// accepts a genesis block, or a factory that creates one
+Blockchain.init = function init(genesis = this.createGenesisBlock) {
+  const block = typeof genesis === 'function' ? genesis() : genesis
+  this.publicKeys = new Map()
+  this.pool = Object.create(TransactionPool).init({
+    ledger: Object.create(Ledger).init(this),
+  })
+  return MyStore.init.call(this, block)
+}
+
+/*
+ * Records which public key belongs to an address. A transaction is only
+ * accepted when it was signed with the key registered for its sender;
+ * anything else is treated as forged.
+ *  */
+Blockchain.registerWallet = function registerWallet({ address, publicKey }) {
+  const known = this.publicKeys.get(address)
+  if (known && known !== publicKey) {
+    throw new Error(`A different key is already registered for ${address}`)
+  }
+  this.publicKeys.set(address, publicKey)
+  return this
+}
+
+// returns why a (non-reward) transaction isn't properly signed, or null
+Blockchain.checkSignature = function checkSignature(tx) {
+  if (typeof tx.verifySignature !== 'function' || !tx.verifySignature()) {
+    return `transaction from ${tx.sender} is not signed`
+  }
+  if (this.publicKeys.get(tx.sender) !== tx.publicKey) {
+    return `transaction from ${tx.sender} is forged`
+  }
+  return null
+}
+
+/*
+ * Returns why the block's transactions can't be accepted, or null when
+ * they are fine. Only the mining reward may be unsigned, and a block can
+ * pay at most one reward of at most miningReward plus the block's fees.
+ * Every sender must be able to afford their transaction with the balance
+ * left by the blocks before this one and the earlier transactions in this
+ * block, and no signed transaction may appear twice, in this block or
+ * anywhere before it: replaying a payment would otherwise pay it again
+ * under the same signature.
+ *  */
+Blockchain.checkTransactions = function checkTransactions(block) {
+  if (block.index === 0) {
+    return null
+  }
+  if (!Array.isArray(block.data)) {
+    return 'block data must be a list of transactions'
+  }
+
+  const rewards = block.data.filter((tx) => tx.sender === null)
+  const fees = block.data.reduce((sum, tx) => sum + (tx.fee ?? 0), 0)
+  if (rewards.length > 1) {
+    return 'more than one mining reward'
+  }
+  if (rewards.some((tx) => tx.funds > this.miningReward + fees)) {
+    return 'mining reward is too large'
+  }
+
+  const ledger = Object.create(Ledger).init(this)
+  const balances = ledger.balances({ upTo: block.index })
+  const recorded = ledger.recorded({ upTo: block.index })
+
+  for (const tx of block.data) {
+    if (tx.sender !== null) {
+      const rejected = this.checkSignature(tx)
+      if (rejected) {
+        return rejected
+      }
+      const key = tx.calculateHash()
+      if (recorded.has(key)) {
+        return `transaction from ${tx.sender} is a replay`
+      }
+      recorded.add(key)
+      if (cost(tx) > (balances.get(tx.sender) ?? 0)) {
+        return `${tx.sender} spends more than their balance`
+      }
+    }
+    applyTransaction(balances, tx)
+  }
+  return null
+}
+
+/*
+ * Queues a signed transaction in the chain's pool until it is mined. The
+ * pool checks it against the sender's balance, including what they already
+ * have pending.
+ *  */
+Blockchain.addTransaction = function addTransaction(tx) {
+  if (tx.sender === null) {
+    throw new Error('Mining rewards cannot be submitted as transactions')
+  }
+  const rejected = this.checkSignature(tx)
+  if (rejected) {
+    throw new Error(`Transaction rejected: ${rejected}`)
+  }
+  return this.pool.add(tx)
+}
+
+/*
+ * Links the block to the current tip of the chain before storing it.
+ * A block that already names a different previousHash was built on top of
+ * some other block, so it is rejected instead of being silently relinked.
+ *
+ * Every block after the genesis block must be mined at the chain's current
+ * difficulty. Filling in a missing previousHash changes the block's hash,
+ * so only blocks mined against the tip (see createBlock) make it through.
+ *  */
+Blockchain.push = function push(block) {
+  if (!(block instanceof Block)) {
+    throw new TypeError('Only Block instances can be pushed to a Blockchain')
+  }
+
+  const previous = this.last()
+  const previousHash = previous ? previous.hash : '0'
+
+  if (block.previousHash === undefined) {
+    block.previousHash = previousHash
+  } else if (block.previousHash !== previousHash) {
+    throw new Error(
+      `Block previousHash ${block.previousHash} does not match the last block ${previousHash}`,
+    )
+  }
+
+  if (block.merkleRoot !== block.calculateMerkleRoot()) {
+    throw new Error('Block merkleRoot does not match its data')
+  }
+
+  block.index = this.length
+  block.hash = block.calculateHash()
+
+  if (
+    this.length > 0 &&
+    (block.difficulty < this.difficulty || !block.isMined())
+  ) {
+    throw new Error(
+      `Block ${block.index} has not been mined at difficulty ${this.difficulty}`,
+    )
+  }
+
+  const rejected = this.checkTransactions(block)
+  if (rejected) {
+    throw new Error(`Block ${block.index} rejected: ${rejected}`)
+  }
+  return this.finalize(block)
+}
+
+/*
+ * Stores a block for good: the block and everything in it is sealed, and
+ * its slot in the chain is locked. Edits to a finalized block, or to its
+ * slot, are refused (and reported, see utils/immutable.js) instead of
+ * silently breaking the hashes that later blocks depend on.
+ *  */
+Blockchain.finalize = function finalize(block) {
+  const length = MyStore.push.call(this, seal(block))
+  lockProperty(this, length - 1)
+  return length
+}
+
+// a block linked to the current tip, ready to be mined
+Blockchain.createBlock = function createBlock(data) {
+  const block = new Block(data, this.last().hash)
+  block.index = this.length
+  return block
+}
+
+/*
+ * Mines the given transactions into a new block and pays the mining reward,
+ * plus the fees of those transactions, to minerAddress as part of that same
+ * block. Returns the block as stored on the chain, sealed.
+ *  */
+Blockchain.mineBlock = function mineBlock(transactions = [], minerAddress) {
+  const fees = transactions.reduce((sum, tx) => sum + (tx.fee ?? 0), 0)
+  const reward = new Transaction(null, minerAddress, this.miningReward + fees)
+  const block = this.createBlock([...transactions, reward])
+  block.mine(this.difficulty)
+  this.push(block)
+  return this.last()
+}
+
+/*
+ * Mines up to blockSize transactions from the pool, in the pool's order,
+ * and removes them from the pool once their block is on the chain. The
+ * pool is pruned first: a transaction that stopped being affordable since
+ * it was queued would otherwise make every attempt to mine fail.
+ *  */
+Blockchain.minePending = function minePending(minerAddress) {
+  this.pool.prune()
+  const transactions = this.pool.list(this.blockSize)
+  const block = this.mineBlock(transactions, minerAddress)
+  this.pool.remove(transactions)
+  return block
+}
+
+/*
+ * Walks the chain from the genesis block and reports the first block whose
+ * contents or link no longer match. Like push, it holds every block after
+ * the genesis block to the chain's difficulty, not to the difficulty the
+ * block claims for itself. The genesis block itself isn't mined or checked
+ * for transactions, so it has to be exactly the one createGenesisBlock
+ * makes: anything else could pay whoever wrote it.
+ *  */
+Blockchain.validate = function validate() {
+  for (let index = 0; index < this.length; index++) {
+    const block = this[index]
+
+    if (block.index !== index) {
+      return { valid: false, index, reason: 'index out of order' }
+    }
+    if (block.merkleRoot !== block.calculateMerkleRoot()) {
+      return { valid: false, index, reason: 'merkleRoot does not match data' }
+    }
+    if (block.hash !== block.calculateHash()) {
+      return { valid: false, index, reason: 'hash does not match contents' }
+    }
+    if (index === 0 && block.hash !== this.createGenesisBlock().hash) {
+      return { valid: false, index, reason: 'is not the genesis block' }
+    }
+    if (index > 0 && block.previousHash !== this[index - 1].hash) {
+      return { valid: false, index, reason: 'previousHash does not match' }
+    }
+    if (index > 0 && block.difficulty < this.difficulty) {
+      const reason = `difficulty ${block.difficulty} is below ${this.difficulty}`
+      return { valid: false, index, reason }
+    }
+    if (index > 0 && !block.isMined()) {
+      return { valid: false, index, reason: 'block is not mined' }
+    }
+    const rejected = this.checkTransactions(block)
+    if (rejected) {
+      return { valid: false, index, reason: rejected }
+    }
+  }
+  return { valid: true }
+}
+
+/*
+ * The work behind the chain: finding a block at difficulty d takes about
+ * 16 ** d hashes. Peers choose between chains by work rather than by
+ * length, because a long chain of cheap blocks costs nothing to make.
+ *  */
+Blockchain.totalWork = function totalWork() {
+  return [...this].reduce((work, block) => work + 16 ** block.difficulty, 0)
+}
+
+/*
+ * The JSON form of a chain: its settings, registered keys, blocks and the
+ * transactions still waiting in the pool. JSON.stringify(chain) calls this.
+ *  */
+Blockchain.toJSON = function toJSON() {
+  return {
+    difficulty: this.difficulty,
+    miningReward: this.miningReward,
+    blockSize: this.blockSize,
+    publicKeys: [...this.publicKeys],
+    blocks: [...this],
+    pending: this.pool.list(),
+  }
+}
+
+/*
+ * Rebuilds a chain from toJSON's output (or its JSON string), linked to
+ * this object the same way Object.create(Blockchain) would be. Blocks are
+ * restored as they were saved rather than pushed again, and the whole
+ * snapshot is refused if it doesn't validate. Pending transactions are
+ * queued again, except the ones the pool refuses (already mined, or no
+ * longer affordable): one stale entry doesn't spoil the rest.
+ *
+ * The settings stored in the snapshot are ignored: a snapshot that chose
+ * its own difficulty and miningReward would be validated against rules it
+ * made up. The chain delegates to this object's settings instead, unless
+ * settings gives it its own, e.g. fromJSON(json, { difficulty: 3 }).
+ *  */
+Blockchain.fromJSON = function fromJSON(json, settings = {}) {
+  const snapshot = typeof json === 'string' ? JSON.parse(json) : json
+  const [genesis, ...blocks] = snapshot.blocks.map((block) =>
+    Block.fromJSON(block),
+  )
+
+  const chain = Object.create(this)
+  for (const key of ['difficulty', 'miningReward', 'blockSize']) {
+    if (settings[key] !== undefined) {
+      chain[key] = settings[key]
+    }
+  }
+  chain.init(genesis)
+  snapshot.publicKeys.forEach(([address, publicKey]) =>
+    chain.registerWallet({ address, publicKey }),
+  )
+  blocks.forEach((block) => chain.finalize(block))
+
+  const { valid, index, reason } = chain.validate()
+  if (!valid) {
+    throw new Error(`Invalid chain snapshot: block ${index} ${reason}`)
+  }
+
+  for (const tx of snapshot.pending) {
+    try {
+      chain.addTransaction(Transaction.fromJSON(tx))
+    } catch (e) {
+      // left out of the pool, like a transaction a peer would refuse
+    }
+  }
+  return chain
+}
+
+Blockchain.save = function save(file) {
+  fs.writeFileSync(file, JSON.stringify(this, null, 2))
+  return file
+}
+
+Blockchain.load = function load(file) {
+  return this.fromJSON(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = { Blockchain, createGenesisBlock }
@@ -0,0 +1,94 @@
+// what the sender gives up: the funds plus the fee paid to the miner
+function cost(tx) {
+  return tx.funds + (tx.fee ?? 0)
+}
+
+/*
+ * Balances are never stored: they are computed by replaying every
+ * transaction in the chain, in order. A transaction without a sender
+ * (a mining reward) only credits its recipient.
+ *  */
+function applyTransaction(balances, tx) {
+  if (tx.sender !== null) {
+    balances.set(tx.sender, (balances.get(tx.sender) ?? 0) - cost(tx))
+  }
+  balances.set(tx.recipient, (balances.get(tx.recipient) ?? 0) + tx.funds)
+  return balances
+}
+
+/*
+ * Pending transactions are not confirmed yet, so only the money they spend
+ * counts: it is already promised to someone else. The money they would
+ * receive can't be spent until they are mined.
+ *  */
+function applyPending(balances, tx) {
+  if (tx.sender !== null) {
+    balances.set(tx.sender, (balances.get(tx.sender) ?? 0) - cost(tx))
+  }
+  return balances
+}
+
+/*
+ * The ledger service for a chain, created the OLOO way:
+ * Object.create(Ledger).init(chain)
+ *  */
+const Ledger = {
+  init(chain) {
+    this.chain = chain
+    return this
+  },
+
+  // balances of every address after the first `upTo` blocks and the pending transactions
+  balances({ pending = [], upTo = this.chain.length } = {}) {
+    const balances = new Map()
+    for (let index = 0; index < upTo; index++) {
+      const { data } = this.chain[index]
+      if (Array.isArray(data)) {
+        data.forEach((tx) => applyTransaction(balances, tx))
+      }
+    }
+    pending.forEach((tx) => applyPending(balances, tx))
+    return balances
+  },
+
+  /*
+   * The hashes of the signed transactions in the first `upTo` blocks. A
+   * signature only proves who wrote a transaction, not how often it was
+   * submitted, so anything in here must never be applied again. Rewards are
+   * left out: they are unsigned and limited to one per block anyway.
+   *  */
+  recorded({ upTo = this.chain.length } = {}) {
+    const hashes = new Set()
+    for (let index = 0; index < upTo; index++) {
+      const { data } = this.chain[index]
+      if (Array.isArray(data)) {
+        data
+          .filter((tx) => tx.sender !== null)
+          .forEach((tx) => hashes.add(tx.calculateHash()))
+      }
+    }
+    return hashes
+  },
+
+  getBalance(address, pending = []) {
+    return this.balances({ pending }).get(address) ?? 0
+  },
+
+  /*
+   * Throws when the sender can't afford tx, counting what they have already
+   * committed in pending transactions.
+   *  */
+  assertCanSpend(tx, pending = []) {
+    if (tx.sender === null) {
+      return
+    }
+    const available = this.getBalance(tx.sender, pending)
+    if (cost(tx) > available) {
+      throw new Error(
+        `${tx.sender} cannot spend ${cost(tx)}, only ${available} available`,
+      )
+    }
+  },
+}
+
+module.exports = { Ledger, applyTransaction, cost }
@@ -0,0 +1,86 @@
+const { hash } = require('../utils/hash')
+const { canonicalize } = require('../utils/serialize')
+
+/*
+ * Leaves and inner nodes are hashed under different tags, so an inner node
+ * can never be passed off as a leaf (or the other way round) in a proof.
+ * canonicalize keeps (ab, c) and (a, bc) apart.
+ *  */
+function hashLeaf(leaf) {
+  return hash(canonicalize(['leaf', leaf]), { algorithm: 'sha256' })
+}
+
+// the parent of two nodes
+function hashPair(left, right) {
+  return hash(canonicalize(['node', left, right]), { algorithm: 'sha256' })
+}
+
+const EMPTY_ROOT = hash('', { algorithm: 'sha256' })
+
+/*
+ * A Merkle tree over a list of leaf hashes. Each level hashes the level
+ * below it in pairs until a single root is left. An odd node out moves up a
+ * level unchanged: pairing it with itself would give [a, b, c] and
+ * [a, b, c, c] the same root. The root commits to every leaf, and proving
+ * that one leaf is included takes at most one sibling hash per level
+ * instead of the whole list.
+ *
+ * Object.create(MerkleTree).init(leaves), or
+ * MerkleTree.fromTransactions(transactions) to use each calculateHash().
+ *  */
+const MerkleTree = {
+  init(leaves = []) {
+    this.levels = [leaves.map(hashLeaf)]
+    while (this.levels[this.levels.length - 1].length > 1) {
+      const level = this.levels[this.levels.length - 1]
+      const next = []
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(
+          i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i],
+        )
+      }
+      this.levels.push(next)
+    }
+    this.root = this.levels[this.levels.length - 1][0] ?? EMPTY_ROOT
+    return this
+  },
+
+  fromTransactions(transactions) {
+    return Object.create(MerkleTree).init(
+      transactions.map((tx) => tx.calculateHash()),
+    )
+  },
+
+  /*
+   * The sibling hashes needed to rebuild the root from the leaf at index,
+   * from the bottom of the tree up. Levels where the node has no sibling
+   * (it moves up unchanged) add nothing to the proof.
+   *  */
+  getProof(index) {
+    if (index < 0 || index >= this.levels[0].length) {
+      throw new RangeError(`No leaf at index ${index}`)
+    }
+    const proof = []
+    for (const level of this.levels.slice(0, -1)) {
+      const isRight = index % 2 === 1
+      const sibling = isRight ? level[index - 1] : level[index + 1]
+      if (sibling !== undefined) {
+        proof.push({ hash: sibling, position: isRight ? 'left' : 'right' })
+      }
+      index = Math.floor(index / 2)
+    }
+    return proof
+  },
+
+  // checks a proof for a leaf (a transaction hash) against a root alone
+  verifyProof(leaf, proof, root) {
+    const computed = proof.reduce(
+      (node, { hash: sibling, position }) =>
+        position === 'left' ? hashPair(sibling, node) : hashPair(node, sibling),
+      hashLeaf(leaf),
+    )
+    return computed === root
+  },
+}
+
+module.exports = { MerkleTree }
@@ -0,0 +1,46 @@
+const { HasEvents } = require('../mixins/HasEvents')
+const { assignDescriptors } = require('../utils/assignDescriptors')
+
+/*
+ * MyStore is a minimal array-like store. It is meant to be used as the
+ * top of an OLOO chain: other objects link to it with Object.create and
+ * delegate init/push to it instead of copying them.
+ *
+ * push emits a 'push' event with the element and its index (see HasEvents),
+ * so a listener on MyStore, or on any object linked to it, hears about
+ * pushes made on every store below it.
+ *  */
+
+const MyStore = {
+  // initialize the store with an element
+  init(element) {
+    this.length = 0
+    // then call the push method to add the element to the store
+    this.push(element)
+    return this
+  },
+
+  // add a new element to the store
+  push(b) {
+    const index = this.length
+    this[index] = b
+    this.length = index + 1
+    this.emit('push', b, index)
+    return this.length
+  },
+
+  // the most recently pushed element, undefined for an empty store
+  last() {
+    return this.length > 0 ? this[this.length - 1] : undefined
+  },
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.length; i++) {
+      yield this[i]
+    }
+  },
+}
+
+assignDescriptors(MyStore, HasEvents())
+
+module.exports = { MyStore }
@@ -0,0 +1,278 @@
+const net = require('node:net')
+const { Blockchain } = require('./Blockchain')
+const { Block } = require('./Block')
+const { Transaction } = require('./Transaction')
+
+/*
+ * A Peer shares its chain with other peers over TCP on localhost. Messages
+ * are JSON objects, one per line:
+ *
+ *   CHAIN_REQUEST            asks the other side for its whole chain
+ *   CHAIN { chain }          a full chain snapshot (chain.toJSON())
+ *   BLOCK { block }          a newly mined block
+ *   TRANSACTION { tx }       a transaction for the pool
+ *   WALLET { address, publicKey }
+ *
+ * Both sides ask for each other's chain as soon as they connect, so a peer
+ * that joins late catches up straight away. Forks are resolved by keeping
+ * the valid chain with the most work (see Blockchain.totalWork).
+ *
+ * Peers are created the OLOO way: Object.create(Peer).init({ chain })
+ *  */
+const Peer = {
+  init({ chain = Object.create(Blockchain).init(), host = '127.0.0.1' } = {}) {
+    this.chain = chain
+    this.host = host
+    this.port = null
+    this.server = null
+    this.sockets = new Set()
+    return this
+  },
+
+  /*
+   * Called whenever the chain or the pool changes. It does nothing here;
+   * an object linked to Peer can shadow it to react to updates.
+   *  */
+  changed() {},
+
+  // resolves once the server is listening; port 0 picks a free port
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.attach(socket))
+      this.server.once('error', reject)
+      this.server.listen(port, this.host, () => {
+        this.port = this.server.address().port
+        resolve(this)
+      })
+    })
+  },
+
+  connect(port) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, this.host, () => {
+        socket.off('error', reject)
+        this.attach(socket)
+        resolve(socket)
+      })
+      socket.once('error', reject)
+    })
+  },
+
+  attach(socket) {
+    let buffered = ''
+    this.sockets.add(socket)
+    socket.setEncoding('utf8')
+
+    socket.on('data', (chunk) => {
+      buffered += chunk
+      let newline
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline)
+        buffered = buffered.slice(newline + 1)
+        try {
+          this.receive(socket, JSON.parse(line))
+        } catch (e) {
+          // a peer that sends garbage is disconnected
+          socket.destroy()
+        }
+      }
+    })
+    socket.on('close', () => this.sockets.delete(socket))
+    socket.on('error', () => socket.destroy())
+
+    this.send(socket, { type: 'CHAIN_REQUEST' })
+  },
+
+  send(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(`${JSON.stringify(message)}\n`)
+    }
+  },
+
+  broadcast(message, except) {
+    for (const socket of this.sockets) {
+      if (socket !== except) {
+        this.send(socket, message)
+      }
+    }
+  },
+
+  receive(socket, message) {
+    switch (message.type) {
+      case 'CHAIN_REQUEST':
+        return this.send(socket, { type: 'CHAIN', chain: this.chain })
+      case 'CHAIN':
+        if (this.replaceChain(message.chain)) {
+          this.broadcast({ type: 'CHAIN', chain: this.chain }, socket)
+        }
+        return
+      case 'BLOCK':
+        return this.receiveBlock(socket, Block.fromJSON(message.block))
+      case 'TRANSACTION':
+        return this.receiveTransaction(socket, Transaction.fromJSON(message.tx))
+      case 'WALLET':
+        return this.receiveWallet(socket, message)
+      default:
+        throw new TypeError(`Unknown message type '${message.type}'`)
+    }
+  },
+
+  /*
+   * A block that extends our tip is pushed (which validates it) and passed
+   * on. A block from further ahead, or built on some other tip, means the
+   * sender has a chain we don't know about, so we ask for all of it.
+   *
+   * Once a block is accepted the whole pool is checked again, not only the
+   * transactions the block included: it may spend the same funds as one of
+   * ours through a different transaction, which could then never be mined.
+   *  */
+  receiveBlock(socket, block) {
+    const tip = this.chain.last()
+    if (block.index < this.chain.length) {
+      return
+    }
+    if (block.index > this.chain.length || block.previousHash !== tip.hash) {
+      return this.send(socket, { type: 'CHAIN_REQUEST' })
+    }
+
+    try {
+      this.chain.push(block)
+    } catch (e) {
+      return
+    }
+    this.chain.pool.prune()
+    this.broadcast({ type: 'BLOCK', block }, socket)
+    this.changed()
+  },
+
+  receiveTransaction(socket, tx) {
+    try {
+      if (!this.chain.addTransaction(tx)) {
+        return
+      }
+    } catch (e) {
+      return
+    }
+    this.broadcast({ type: 'TRANSACTION', tx }, socket)
+    this.changed()
+  },
+
+  receiveWallet(socket, { address, publicKey }) {
+    if (this.chain.publicKeys.has(address)) {
+      return
+    }
+    this.chain.registerWallet({ address, publicKey })
+    this.broadcast({ type: 'WALLET', address, publicKey }, socket)
+  },
+
+  /*
+   * The valid chain with the most work wins, not the longest one. The
+   * snapshot is rebuilt with fromJSON from the same object our chain is
+   * linked to and with our chain's settings, so it is validated against
+   * our difficulty and miningReward and keeps them once adopted; whatever
+   * the other side claims is ignored. A candidate that registers a
+   * different key for an address we already know is refused: its
+   * transactions from that address were signed by someone else. Keys and
+   * pending transactions we know about but the other side doesn't are
+   * carried over.
+   *  */
+  replaceChain(json) {
+    let candidate
+    try {
+      candidate = Object.getPrototypeOf(this.chain).fromJSON(json, this.chain)
+    } catch (e) {
+      return false
+    }
+    if (candidate.totalWork() <= this.chain.totalWork()) {
+      return false
+    }
+
+    for (const [address, publicKey] of this.chain.publicKeys) {
+      if (!candidate.publicKeys.has(address)) {
+        candidate.registerWallet({ address, publicKey })
+      } else if (candidate.publicKeys.get(address) !== publicKey) {
+        return false
+      }
+    }
+    // what the candidate already mined must not be queued to be mined again
+    const recorded = candidate.pool.ledger.recorded()
+    for (const tx of this.chain.pool.list()) {
+      if (recorded.has(tx.calculateHash())) {
+        continue
+      }
+      try {
+        candidate.addTransaction(tx)
+      } catch (e) {
+        // no longer affordable on the candidate chain
+      }
+    }
+
+    this.chain = candidate
+    this.changed()
+    return true
+  },
+
+  registerWallet({ address, publicKey }) {
+    this.chain.registerWallet({ address, publicKey })
+    this.broadcast({ type: 'WALLET', address, publicKey })
+    return this
+  },
+
+  addTransaction(tx) {
+    const added = this.chain.addTransaction(tx)
+    if (added) {
+      this.broadcast({ type: 'TRANSACTION', tx })
+      this.changed()
+    }
+    return added
+  },
+
+  // mines the pool into a block and announces it
+  mine(minerAddress) {
+    const block = this.chain.minePending(minerAddress)
+    this.broadcast({ type: 'BLOCK', block })
+    this.changed()
+    return block
+  },
+
+  close() {
+    this.sockets.forEach((socket) => socket.destroy())
+    return new Promise((resolve) =>
+      this.server ? this.server.close(() => resolve(this)) : resolve(this),
+    )
+  },
+}
+
+/*
+ * Run a peer in its own process:
+ *
+ *   node src/object/blockchain/Peer.js <port> [peerPort...]
+ *
+ * It listens on <port> (0 picks a free one), connects to every peerPort and
+ * prints its chain length whenever it changes. When started with fork, it
+ * also reports its port and chain length to the parent process, and shuts
+ * down when the parent disconnects.
+ *  */
+if (require.main === module) {
+  const [port = 0, ...peerPorts] = process.argv.slice(2).map(Number)
+  const peer = Object.create(Peer).init()
+
+  peer.changed = function changed() {
+    console.log(`peer ${this.port} has ${this.chain.length} blocks`)
+    if (process.send) {
+      process.send({ port: this.port, length: this.chain.length })
+    }
+  }
+
+  peer.listen(port).then(async () => {
+    for (const peerPort of peerPorts) {
+      await peer.connect(peerPort)
+    }
+    peer.changed()
+  })
+
+  process.on('disconnect', () => peer.close())
+  process.on('SIGINT', () => peer.close())
+}
+
+module.exports = { Peer }
@@ -0,0 +1,90 @@
+const { HasHash } = require('../mixins/HasHash')
+const { HasSignature } = require('../mixins/HasSignature')
+const { IsImmutable } = require('../mixins/IsImmutable')
+const { assignDescriptors } = require('../utils/assignDescriptors')
+const { defineModel } = require('../utils/defineModel')
+const { seal } = require('../utils/immutable')
+const { safeAssign } = require('../utils/safeMerge')
+
+/*
+ * The transaction stored in blocks. A transaction without a sender mints
+ * new funds, which is how mining rewards are paid. Every other transaction
+ * has to be signed by the sender's wallet before a chain accepts it.
+ *
+ * The sender pays funds + fee: the recipient gets the funds and the miner
+ * who includes the transaction in a block collects the fee.
+ *
+ * The fields are declared with defineModel at the bottom, so a transaction
+ * with a malformed address or negative funds can't even be constructed.
+ *
+ * A transaction is sealed as soon as it is created: once its hash has been
+ * taken nothing may change it, so tx.funds = 999 is refused. tx.with(changes)
+ * and sign return new, sealed transactions instead.
+ *
+ * Only the constructor of the class being instantiated seals, so a subclass
+ * can still set its own fields after super(); it seals the instance itself
+ * when it is done:
+ *
+ *   class Memo extends Transaction {
+ *     constructor(memo, ...args) {
+ *       super(...args)
+ *       this.memo = memo
+ *       return seal(this)
+ *     }
+ *   }
+ *  */
+class Transaction {
+  constructor(
+    sender,
+    recipient,
+    funds = 0.0,
+    { fee = 0.0, timestamp = Date.now() } = {},
+  ) {
+    this.sender = sender
+    this.recipient = recipient
+    this.funds = Number(funds)
+    this.fee = Number(fee)
+    this.timestamp = timestamp
+    if (new.target === Transaction) {
+      return seal(this)
+    }
+  }
+
+  displayTransaction() {
+    return `Transaction from ${this.sender} to ${this.recipient}`
+  }
+
+  isReward() {
+    return this.sender === null
+  }
+
+  /*
+   * Rebuilds a Transaction from its JSON form. The plain object that
+   * JSON.parse returns has lost its prototype, so it has no calculateHash
+   * or displayTransaction until it is linked back to Transaction.prototype.
+   * safeAssign refuses keys like "__proto__" that untrusted JSON may carry.
+   *  */
+  static fromJSON(json) {
+    return seal(safeAssign(Object.create(Transaction.prototype), json))
+  }
+}
+
+// sender is null for mining rewards
+defineModel(Transaction.prototype, {
+  sender: { type: 'email', nullable: true },
+  recipient: { type: 'email' },
+  funds: { type: 'number', min: 0, default: 0 },
+  fee: { type: 'number', min: 0, default: 0 },
+  timestamp: { type: 'number' },
+})
+
+assignDescriptors(
+  Transaction.prototype,
+  HasHash(['sender', 'recipient', 'funds', 'fee', 'timestamp'], {
+    algorithm: 'sha256',
+  }),
+  HasSignature(['sender', 'recipient', 'funds', 'fee', 'timestamp']),
+  IsImmutable(),
+)
+
+module.exports = { Transaction }
@@ -0,0 +1,102 @@
+/*
+ * Orderings for TransactionPool.list. 'fee' puts the best-paying
+ * transactions first and falls back to the oldest one on a tie, 'timestamp'
+ * is plain first come, first served.
+ *  */
+const orderings = {
+  fee: (a, b) => (b.fee ?? 0) - (a.fee ?? 0) || a.timestamp - b.timestamp,
+  timestamp: (a, b) => a.timestamp - b.timestamp,
+}
+
+/*
+ * Pending transactions waiting to be mined, created the OLOO way:
+ * Object.create(TransactionPool).init({ order: 'fee', ledger })
+ *
+ * Any object with a calculateHash method can be pooled, so Transaction and
+ * HashTransaction instances both work. Transactions are keyed by their
+ * hash, which makes adding the same transaction twice a no-op. When a
+ * ledger is given, a transaction is only accepted if it isn't on the chain
+ * already (it would be a replay) and the sender can afford it on top of
+ * everything they already have pending.
+ *  */
+const TransactionPool = {
+  init({ order = 'fee', ledger = null } = {}) {
+    if (!orderings[order]) {
+      throw new TypeError(`Unknown transaction pool order '${order}'`)
+    }
+    this.order = order
+    this.ledger = ledger
+    this.transactions = new Map()
+    return this
+  },
+
+  get size() {
+    return this.transactions.size
+  },
+
+  // returns false when the transaction is already in the pool
+  add(tx) {
+    if (!tx || typeof tx.calculateHash !== 'function') {
+      throw new TypeError('Only transactions with calculateHash can be pooled')
+    }
+    const key = tx.calculateHash()
+    if (this.transactions.has(key)) {
+      return false
+    }
+    if (this.ledger) {
+      if (this.ledger.recorded().has(key)) {
+        throw new Error(`Transaction from ${tx.sender} is already on the chain`)
+      }
+      this.ledger.assertCanSpend(tx, this.list())
+    }
+    this.transactions.set(key, tx)
+    return true
+  },
+
+  has(tx) {
+    return this.transactions.has(tx.calculateHash())
+  },
+
+  // up to `limit` pending transactions, in the pool's order
+  list(limit = Infinity) {
+    return [...this.transactions.values()]
+      .sort(orderings[this.order])
+      .slice(0, limit)
+  },
+
+  remove(transactions) {
+    transactions.forEach((tx) => this.transactions.delete(tx.calculateHash()))
+    return this
+  },
+
+  /*
+   * Checks every pending transaction again, in the pool's order, as if it
+   * were added now. Once the chain has moved on, some may have been mined
+   * through another block or be no longer affordable; those are dropped
+   * and returned. Without a ledger there is nothing to check against.
+   *  */
+  prune() {
+    if (!this.ledger) {
+      return []
+    }
+    const recorded = this.ledger.recorded()
+    const kept = []
+    const dropped = []
+    for (const tx of this.list()) {
+      if (recorded.has(tx.calculateHash())) {
+        dropped.push(tx)
+        continue
+      }
+      try {
+        this.ledger.assertCanSpend(tx, kept)
+        kept.push(tx)
+      } catch (e) {
+        dropped.push(tx)
+      }
+    }
+    this.remove(dropped)
+    return dropped
+  },
+}
+
+module.exports = { TransactionPool }
@@ -0,0 +1,32 @@
+const { generateKeyPairSync, sign } = require('node:crypto')
+
+/*
+ * Private keys are kept in a WeakMap instead of on the wallet itself, so
+ * they never show up in console.log, JSON.stringify or Object.keys.
+ *  */
+const privateKeys = new WeakMap()
+
+/*
+ * A Wallet owns an Ed25519 keypair for an address. Wallets are created the
+ * OLOO way: Object.create(Wallet).init('luis@tjoj.com')
+ *  */
+const Wallet = {
+  init(address) {
+    const { publicKey, privateKey } = generateKeyPairSync('ed25519')
+    this.address = address
+    this.publicKey = publicKey.export({ type: 'spki', format: 'pem' })
+    privateKeys.set(this, privateKey)
+    return this
+  },
+
+  // signs a string and returns the signature as hex
+  sign(data) {
+    const privateKey = privateKeys.get(this)
+    if (!privateKey) {
+      throw new Error('Wallet has not been initialized')
+    }
+    return sign(null, Buffer.from(data), privateKey).toString('hex')
+  },
+}
+
+module.exports = { Wallet }
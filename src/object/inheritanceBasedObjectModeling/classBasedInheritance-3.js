@@ -0,0 +1,166 @@
+// Class-based inheritance
+const { hash } = require('../utils/hash')
+
+/*
+ * ES classes are mostly syntactic sugar over the constructor functions and
+ * prototypes from contructorFunctions-2.js. A class still compiles down to a
+ * function, its methods still live on Class.prototype, and `extends` still
+ * links the prototypes with the same [[Prototype]] chain we wired by hand
+ * with Object.create.
+ *
+ * Below is the TransactionC / HashTransactionC chain rebuilt with classes,
+ * plus a MoneyTransaction that adds funds on top of it.
+ * */
+
+class Transaction {
+  constructor(sender, recipient) {
+    this.sender = sender
+    this.recipient = recipient
+  }
+
+  /*
+   * Methods declared in the class body are added to Transaction.prototype,
+   * so every instance shares the same function, exactly like
+   * TransactionC.prototype.displayTransaction.
+   *  */
+  displayTransaction() {
+    return `Transaction from ${this.sender} to ${this.recipient}`
+  }
+
+  /*
+   * A class can't be called without new (it throws a TypeError), so the
+   * new.target trick from HashTransaction has no direct equivalent. A static
+   * factory gives callers the same "no new needed" convenience. Using
+   * `new this(...)` makes the factory work for every subclass too.
+   *  */
+  static create(sender, recipient, ...rest) {
+    return new this(sender, recipient, ...rest)
+  }
+}
+
+/*
+ * extends does the two lines we wrote manually for HashTransactionC:
+ * HashTransactionC.prototype = Object.create(TransactionC.prototype)
+ * HashTransactionC.prototype.constructor = HashTransactionC
+ *
+ * and super(sender, recipient) replaces TransactionC.call(this, sender, recipient)
+ * */
+class HashTransaction extends Transaction {
+  constructor(sender, recipient) {
+    super(sender, recipient)
+  }
+
+  calculateHash() {
+    return hash([this.sender, this.recipient].join(''))
+  }
+}
+
+const tx = new HashTransaction('luis@tjoj.com', 'luke@tjoj.com')
+console.log(tx.calculateHash()) // 237572532174000400
+console.log(tx.sender) // 'luis@tjoj.com'
+console.log(tx.displayTransaction()) // Transaction from luis@tjoj.com to luke@tjoj.com
+
+// HashTransaction('luis@tjoj.com', 'luke@tjoj.com')
+// TypeError: Class constructor HashTransaction cannot be invoked without 'new'
+const txF = HashTransaction.create('luis@tjoj.com', 'luke@tjoj.com')
+console.log(txF instanceof HashTransaction) // true
+
+// methods are shared through the prototype, no copy per instance
+const tx1 = new HashTransaction('luis@tjoj.com', 'luke@tjoj.com')
+const tx2 = new HashTransaction('luis@tjoj.com', 'luke@tjoj.com')
+console.log(tx1.calculateHash === tx2.calculateHash) // true
+console.log(tx1.displayTransaction === tx2.displayTransaction) // true
+
+console.log('----------------------')
+// ------------------------------------------------------------------------
+
+// Private fields, getters and setters
+
+/*
+ * MoneyTransaction keeps its funds in a private #field. Private fields are
+ * not properties at all: they don't show up in Object.keys, they can't be
+ * reached through the prototype chain and only code inside the class body
+ * can read them. The funds getter/setter pair is the public face of the
+ * field and validates every assignment.
+ *  */
+class MoneyTransaction extends HashTransaction {
+  #funds = 0.0
+
+  constructor(sender, recipient, funds = 0.0) {
+    super(sender, recipient)
+    this.funds = funds
+  }
+
+  get funds() {
+    return this.#funds
+  }
+
+  set funds(value) {
+    const funds = Number(value)
+    if (Number.isNaN(funds) || funds < 0) {
+      throw new TypeError(`funds must be a non-negative number, got ${value}`)
+    }
+    this.#funds = funds
+  }
+
+  addFunds(funds = 0) {
+    this.funds += Number(funds)
+    this.emit('funds', this.funds, Number(funds))
+    return this
+  }
+
+  static empty(sender, recipient) {
+    return new MoneyTransaction(sender, recipient, 0.0)
+  }
+}
+
+/*
+ * Mixins work on classes through their prototype. With HasEvents every
+ * MoneyTransaction can be observed, and addFunds announces each change.
+ * Listening on MoneyTransaction.prototype observes all of them at once.
+ *  */
+const { HasEvents } = require('../mixins/HasEvents')
+Object.assign(MoneyTransaction.prototype, HasEvents())
+
+const moneyTx = new MoneyTransaction('luis@tjoj.com', 'luke@tjoj.com', 10)
+moneyTx.on('funds', (funds, added) => console.log(`+${added} = ${funds}`))
+console.log(moneyTx.addFunds(5).funds)
+// +5 = 15
+// 15
+console.log(moneyTx.calculateHash()) // 237572532174000400
+console.log(Object.keys(moneyTx)) // [ 'sender', 'recipient' ]
+
+try {
+  moneyTx.funds = 'abc'
+} catch (e) {
+  console.log(e.message) // funds must be a non-negative number, got abc
+}
+
+console.log(MoneyTransaction.empty('luis@tjoj.com', 'luke@tjoj.com').funds) // 0
+
+console.log('----------------------')
+// ------------------------------------------------------------------------
+
+// Same prototype chain as the constructor version
+
+/*
+ * Under the hood nothing changed. A class is a function, its methods live on
+ * the prototype, and both prototypes sit in the lookup chain of the
+ * instance, just like TransactionC and HashTransactionC.
+ *  */
+console.log(typeof HashTransaction) // function
+console.log(Transaction.prototype.isPrototypeOf(moneyTx)) // true
+console.log(HashTransaction.prototype.isPrototypeOf(moneyTx)) // true
+console.log(
+  Object.getPrototypeOf(HashTransaction.prototype) === Transaction.prototype,
+) // true
+
+/*
+ * extends also links the constructors themselves, which is why statics are
+ * inherited: HashTransaction.create resolves to Transaction.create.
+ *  */
+console.log(Object.getPrototypeOf(HashTransaction) === Transaction) // true
+
+// the constructor property is non-enumerable, as it should be
+console.log(Object.keys(HashTransaction.prototype)) // []
+console.log(HashTransaction.prototype.constructor === HashTransaction) // true
@@ -1,4 +1,6 @@
 // Constructor functions
+const { hash } = require('../utils/hash')
+
 /*
  * Constructor functions in JavaScript are a way to create multiple objects
  * with the same structure. They act as a blueprint for creating objects.
@@ -41,13 +43,7 @@ function HashTransaction(sender, recipient) {
    * memory efficient if you're creating many objects.
    *  */
   this.calculateHash = function calculateHash() {
-    const data = [this.sender, this.recipient].join('')
-    let hash = 0,
-      i = 0
-    while (i < data.length) {
-      hash = ((hash << 5) - hash + data.charCodeAt(i++)) << 0
-    }
-    return hash ** 2
+    return hash([this.sender, this.recipient].join(''))
   }
 }
 
@@ -129,6 +125,48 @@ Transaction.prototype.displayTransaction = function displayTransaction() {
  * HashTransaction prototype to the Transaction prototype:
  * */
 
+/*
+ * traceLookups shows the lookup the engine makes. It walks tx1, then
+ * HashTransaction.prototype, then falls through to Object.prototype without
+ * finding anything: Transaction.prototype, where displayTransaction lives,
+ * is never part of the path.
+ *  */
+const { traceLookups } = require('../utils/traceLookups')
+
+const trace = traceLookups(tx1)
+console.log(typeof trace.proxy.displayTransaction) // undefined
+console.log(trace.proxy.calculateHash2 === tx2.calculateHash2) // true
+console.log(JSON.stringify(trace, null, 2))
+/*
+{
+  "events": [
+    {
+      "type": "get",
+      "key": "displayTransaction",
+      "path": [
+        "HashTransaction instance",
+        "HashTransaction.prototype",
+        "Object.prototype"
+      ],
+      "hit": null,
+      "shadows": null,
+      "fellThrough": true
+    },
+    {
+      "type": "get",
+      "key": "calculateHash2",
+      "path": [
+        "HashTransaction instance",
+        "HashTransaction.prototype"
+      ],
+      "hit": "HashTransaction.prototype",
+      "shadows": null,
+      "fellThrough": false
+    }
+  ]
+}
+ */
+
 // check
 console.log(
   'is Transaction prototype of tx',
@@ -180,13 +218,7 @@ HashTransactionC.prototype.constructor = HashTransactionC
 // After setting up the prototype chain,
 // you can add the calculateHash method
 HashTransactionC.prototype.calculateHashC = function () {
-  const data = [this.sender, this.recipient].join('')
-  let hash = 0,
-    i = 0
-  while (i < data.length) {
-    hash = ((hash << 5) - hash + data.charCodeAt(i++)) << 0
-  }
-  return hash ** 2
+  return hash([this.sender, this.recipient].join(''))
 }
 
 const txC = new HashTransactionC('luis@tjoj.com', 'luke@tjoj.com')
@@ -230,6 +262,34 @@ TransactionC {
 console.log('tx.__proto__.__proto__; ', txC.__proto__.__proto__)
 //  { displayTransaction: [Function: displayTransaction] }
 
+/*
+ * Following __proto__ by hand gets tedious past two links. inspectChain
+ * walks the whole chain up to null and tells where each method resolves.
+ *  */
+const { inspectChain, renderTree } = require('../utils/inspectChain')
+
+console.log(renderTree(inspectChain(txC)))
+/*
+[0] HashTransactionC instance
+      sender = 'luis@tjoj.com' (ewc)
+      recipient = 'luke@tjoj.com' (ewc)
+[1] HashTransactionC.prototype
+      constructor() (ewc) shadows TransactionC.prototype
+      calculateHashC() (ewc)
+[2] TransactionC.prototype
+      constructor() (-wc) shadowed by HashTransactionC.prototype
+      displayTransaction() (ewc)
+[3] Object.prototype (12 built-in properties)
+[4] null
+methods:
+  constructor() -> HashTransactionC.prototype
+  calculateHashC() -> HashTransactionC.prototype
+  displayTransaction() -> TransactionC.prototype
+ */
+
+// the constructor of HashTransactionC.prototype was set with a plain
+// assignment, which is why it is enumerable (e) while TransactionC's isn't
+
 // ------------------------------------------------------------------------
 
 // Difference between __proto__ and prototype
@@ -240,4 +300,69 @@ console.log('tx.__proto__.__proto__; ', txC.__proto__.__proto__)
  * object used to build __proto__when you create an object with new.
  *  */
 
-// ------------------------------------------------------------------------
\ No newline at end of file
+// ------------------------------------------------------------------------
+
+// Wiring prototypes with inherits
+
+/*
+ * checkInheritance points out what the manual wiring above got wrong:
+ * HashTransaction was never linked to Transaction at all, and
+ * HashTransactionC got an enumerable constructor from the plain assignment.
+ *  */
+const { inherits, checkInheritance } = require('../utils/inherits')
+
+console.log(checkInheritance(HashTransaction, Transaction).map((p) => p.rule))
+// [ 'not-linked', 'statics-not-linked' ]
+console.log(checkInheritance(HashTransactionC, TransactionC).map((p) => p.rule))
+// [ 'enumerable-constructor', 'statics-not-linked' ]
+
+/*
+ * inherits does all of the wiring in one call. It wires HashTransactionI in
+ * place, so the new.target check works as in HashTransactionC: the instance
+ * created for a call without new is linked to the right prototype.
+ *  */
+function HashTransactionI(sender, recipient) {
+  if (!new.target) {
+    return new HashTransactionI(sender, recipient)
+  }
+  TransactionC.call(this, sender, recipient)
+}
+inherits(HashTransactionI, TransactionC)
+
+HashTransactionI.prototype.calculateHash = function () {
+  return hash([this.sender, this.recipient].join(''))
+}
+
+const txI = HashTransactionI('luis@tjoj.com', 'luke@tjoj.com')
+console.log(txI.displayTransaction()) // Transaction from luis@tjoj.com to luke@tjoj.com
+console.log(txI.calculateHash()) // 237572532174000400
+console.log(txI instanceof TransactionC) // true
+console.log(txI.constructor === HashTransactionI) // true
+console.log(checkInheritance(HashTransactionI, TransactionC)) // []
+
+// ------------------------------------------------------------------------
+
+// Signing transactions
+
+/*
+ * Mixins work with constructor functions too, because all they need is an
+ * object to copy methods onto: here that is Transaction.prototype. After
+ * this line every Transaction can be signed by the sender's wallet and
+ * verified later.
+ *  */
+const { HasSignature } = require('../mixins/HasSignature')
+const { Wallet } = require('../blockchain/Wallet')
+
+Object.assign(Transaction.prototype, HasSignature(['sender', 'recipient']))
+
+const luis = Object.create(Wallet).init('luis@tjoj.com')
+const signed = new Transaction('luis@tjoj.com', 'luke@tjoj.com').sign(luis)
+console.log('signed.verifySignature() ', signed.verifySignature()) // true
+
+try {
+  new Transaction('luke@tjoj.com', 'luis@tjoj.com').sign(luis)
+} catch (e) {
+  console.log(e.message) // Wallet luis@tjoj.com cannot sign for luke@tjoj.com
+}
+
+// ------------------------------------------------------------------------
@@ -1,3 +1,5 @@
+const { hash } = require('../utils/hash')
+
 /**
  * The Object.create(proto [,propertiesObject]) API in JavaScript is used to
  * create a new object, using the first argument as the prototype of the new
@@ -60,15 +62,30 @@ moneyTransaction.funds = 0.0
 
 /**
  * Adds new methods to the child object. Repeating the function name in the
- * declaration helps build more-informative stack traces.
+ * declaration helps build more-informative stack traces. With HasEvents
+ * mixed in, addFunds also announces each change as a 'funds' event.
  * */
+const { HasEvents } = require('../mixins/HasEvents')
+Object.assign(moneyTransaction, HasEvents())
+
 moneyTransaction.addFunds = function addFunds(funds = 0) {
   this.funds += Number(funds)
+  this.emit('funds', this.funds, Number(funds))
 }
 
-moneyTransaction.addFunds(10.0)
+moneyTransaction.on('funds', (funds, added) =>
+  console.log(`+${added} = ${funds}`),
+)
+moneyTransaction.addFunds(10.0) // +10 = 10
 console.log('moneyTransaction ', moneyTransaction.funds) // 10.0
 
+/*
+ * addFunds happily adds money out of thin air, which is fine for showing
+ * delegation but not for accounting. src/object/blockchain/Ledger.js shows
+ * the real model: balances are computed by replaying the transactions in a
+ * chain, and a transaction is rejected when the sender can't afford it.
+ * */
+
 /**
  * Checks whether the prototype link has been established
  * */
@@ -124,6 +141,54 @@ for (const moneyTransactionSKey in moneyTransactionS) {
  * effectively making its assignment immutable.
  */
 
+moneyTransactionS.funds = 'abc'
+console.log(moneyTransactionS.funds) // abc, descriptors don't check types
+
+/*
+ * defineModel builds those descriptors from field specs instead: each field
+ * becomes a getter/setter pair on the prototype that checks every
+ * assignment, and read-only and computed fields can't be reassigned at all.
+ *  */
+const { defineModel } = require('../utils/defineModel')
+
+const typedTransaction = defineModel(
+  Object.create(transaction),
+  {
+    id: { type: 'string', readonly: true },
+    funds: { type: 'number', min: 0, default: 0 },
+    display: {
+      computed() {
+        return `${this.funds} from ${this.sender} to ${this.recipient}`
+      },
+    },
+  },
+  { name: 'typedTransaction' },
+)
+
+const typedTx = Object.create(typedTransaction)
+typedTx.id = 'tx-1'
+typedTx.funds = 10
+console.log(typedTx.display) // 10 from sender@gg.com to recipient@gg.com
+
+for (const wrong of [
+  () => (typedTx.funds = 'abc'),
+  () => (typedTx.funds = -5),
+  () => (typedTx.id = 'tx-2'),
+  () => (typedTx.display = 'free money'),
+]) {
+  try {
+    wrong()
+  } catch (e) {
+    console.log(e.message)
+  }
+}
+// typedTransaction.funds must be a number, got 'abc'
+// typedTransaction.funds must be at least 0, got -5
+// typedTransaction.id is read-only
+// typedTransaction.display is computed and cannot be set
+
+console.log(JSON.stringify(typedTx)) // {"id":"tx-1","funds":10}
+
 console.log('-----------------------------------')
 // ------------------------------------------------------------------------
 /*
@@ -175,9 +240,11 @@ console.log('-----------------------------------')
  *
  * const moneyTransaction = {
      __proto__: transaction,
+     ...HasEvents(),
      funds: 0.0,
      addFunds: function addFunds(funds = 0) {
        this.funds += Number(funds);
+       this.emit('funds', this.funds, Number(funds));
        return this;
   }
 }
@@ -195,6 +262,23 @@ console.log(
 console.log('Object.getPrototypeOf ', Object.getPrototypeOf(moneyTransaction))
 //  { sender: 'sender@gg.com', recipient: 'recipient@gg.com' }
 
+// traceLookups records that walk: where each lookup was found, and
+// whether it had to go all the way up to Object.prototype
+const { traceLookups } = require('../utils/traceLookups')
+
+const traced = traceLookups(moneyTransaction, {
+  names: { moneyTransaction, transaction },
+})
+traced.proxy.sender
+traced.proxy.hasOwnProperty('funds')
+console.log(
+  traced.events.map(({ key, hit, fellThrough }) => [key, hit, fellThrough]),
+)
+// [
+//   [ 'sender', 'transaction', false ],
+//   [ 'hasOwnProperty', 'Object.prototype', true ]
+// ]
+
 const obj = {}
 const parent = { foo: 'bar' }
 
@@ -257,13 +341,7 @@ console.log(
 ) // sender@123.com
 
 hashTransaction.calculateHash = function calculateHash() {
-  const data = [this.sender, this.recipient].join('')
-  let hash = 0,
-    i = 0
-  while (i < data.length) {
-    hash = ((hash << 5) - hash + data.charCodeAt(i++)) << 0
-  }
-  return hash ** 2
+  return hash([this.sender, this.recipient].join(''))
 }
 
 console.log('calculateHash ', hashTransaction.calculateHash()) // 2168339193773211000
@@ -285,11 +363,18 @@ console.log(
 )
 
 moneyTransaction2.funds = 0.0
+Object.assign(moneyTransaction2, HasEvents())
 moneyTransaction2.addFunds = function addFunds(funds = 0) {
   this.funds += Number(funds)
+  this.emit('funds', this.funds, Number(funds))
   return this.funds
 }
-console.log('moneyTransaction2 funds', moneyTransaction2.addFunds(10)) // 10
+moneyTransaction2.once('funds', (funds) =>
+  console.log('moneyTransaction2 heard', funds),
+)
+console.log('moneyTransaction2 funds', moneyTransaction2.addFunds(10))
+// moneyTransaction2 heard 10
+// moneyTransaction2 funds 10
 
 console.log('moneyTransaction2 cal hash ', moneyTransaction2.calculateHash()) //  2168339193773211000
 console.log('moneyTransaction2.funds ', moneyTransaction2.funds) //10
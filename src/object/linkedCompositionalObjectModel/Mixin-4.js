@@ -90,17 +90,23 @@ console.log(footLong.bread) // 'Wheat'
  * version of the code:
  *  */
 
-const HasHash = (keys) => ({
-  calculateHash() {
-    const data = keys.map((f) => this[f]).join('')
-    let hash = 0,
-      i = 0
-    while (i < data.length) {
-      hash = ((hash << 5) - hash + data.charCodeAt(i++)) << 0
-    }
-    return hash ** 2
-  },
-})
+/*
+ * HasHash lives in src/object/mixins/HasHash.js so every transaction
+ * variant shares one hashing implementation. It looks like this:
+ *
+ * const HasHash = (keys, { algorithm = 'legacy' } = {}) => ({
+ *   calculateHash() {
+ *     const fields = Object.fromEntries(keys.map((f) => [f, this[f]]))
+ *     return hash(canonicalize(fields), { algorithm })
+ *   },
+ * })
+ *
+ * 'legacy' is the original 32-bit string hash, 'sha256' uses node:crypto
+ * and returns a hex string. canonicalize (src/object/utils/serialize.js)
+ * tags every value with its type and length, so 'ab' + 'c' and 'a' + 'bc',
+ * or 10 and '10', no longer produce the same hash.
+ *  */
+const { HasHash } = require('../mixins/HasHash')
 
 class Transaction {
   constructor(sender, recipient, funds = 0.0) {
@@ -115,6 +121,39 @@ Object.assign(Transaction.prototype, HasHash(['sender', 'recipient', 'funds']))
 const tx = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 10)
 console.log('tx.calculateHash() ', tx.calculateHash()) // Will output the hash
 
+class Sha256Transaction extends Transaction {}
+Object.assign(
+  Sha256Transaction.prototype,
+  HasHash(['sender', 'recipient', 'funds'], { algorithm: 'sha256' }),
+)
+const shaTx = new Sha256Transaction('luis@tjoj.com', 'luke@tjoj.com', 10)
+console.log('shaTx.calculateHash() ', shaTx.calculateHash()) // 64 hex characters
+
+const txAB = new Sha256Transaction('ab', 'c', 10)
+const txBC = new Sha256Transaction('a', 'bc', '10')
+console.log(txAB.calculateHash() === txBC.calculateHash()) // false
+
+/*
+ * HasSignature (src/object/mixins/HasSignature.js) is a functional mixin in
+ * the same style. It adds sign(wallet) and verifySignature() for the listed
+ * keys, so any transaction shape can opt into signatures.
+ *  */
+const { HasSignature } = require('../mixins/HasSignature')
+const { Wallet } = require('../blockchain/Wallet')
+
+Object.assign(
+  Transaction.prototype,
+  HasSignature(['sender', 'recipient', 'funds']),
+)
+
+const luis = Object.create(Wallet).init('luis@tjoj.com')
+const signedTx = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 10)
+signedTx.sign(luis)
+console.log('signedTx.verifySignature() ', signedTx.verifySignature()) // true
+
+signedTx.funds = 1000
+console.log('tampered verifySignature() ', signedTx.verifySignature()) // false
+
 /*
  * The calculateHash method is available on tx because of the use of
  * Object.assign to add the HasHash mixin to the Transaction class's prototype.
@@ -139,16 +178,21 @@ console.log('tx.calculateHash() ', tx.calculateHash()) // Will output the hash
  * Functional mixins in JavaScript are a form of object composition, where component features get mixed into a composite object so that properties of each mixin become properties of the composite object. This is similar to how you can mix different flavors into vanilla ice cream to create custom flavors.  Functional mixins are composable factory functions that connect together in a pipeline, each function adding some properties or behaviors like workers on an assembly line. They don't depend on or require a base factory or constructor. You simply pass any arbitrary object into a mixin, and an enhanced version of that object will be returned.  Here's a simple example of a functional mixin:
  *  */
 
+const { HasEvents } = require('../mixins/HasEvents')
+
+// fly and land also tell whoever is listening (HasEvents adds on/off/emit)
 const flying = (o) => {
   let isFlying = false
-  return Object.assign({}, o, {
+  return Object.assign({}, HasEvents(), o, {
     fly() {
       isFlying = true
+      this.emit('fly')
       return this
     },
     isFlying: () => isFlying,
     land() {
       isFlying = false
+      this.emit('land')
       return this
     },
   })
@@ -158,15 +202,195 @@ const bird = flying({})
 console.log(bird.isFlying()) // false
 console.log(bird.fly().isFlying()) // true
 
+bird.on('land', () => console.log('bird landed'))
+bird.once('fly', () => console.log('bird took off'))
+bird.land().fly().land().fly()
+// bird landed
+// bird took off
+// bird landed
+
 /*
  * In this example, flying is a functional mixin that adds flying behavior to any object. It adds three methods: fly, isFlying, and land.  Functional mixins can be composed using function composition. For example:
  *  */
 
-// const createDuck = (quack) => pipe(flying, quacking(quack))({})
-//
-// const duck = createDuck('Quack!')
-// console.log(duck.fly().quack())
+const {
+  pipe,
+  compose,
+  mix,
+  createMix,
+  appliedMixins,
+} = require('../utils/mixin')
+
+const quacking = (quack) => (o) =>
+  Object.assign({}, o, {
+    quack: () => quack,
+  })
+
+const createDuck = (quack) => pipe(flying, quacking(quack))({})
+
+const duck = createDuck('Quack!')
+console.log(duck.fly().quack()) // Quack!
+console.log(duck.isFlying()) // true
 
 /*
  * In this example, createDuck is a function that creates a duck object with both flying behavior and quacking behavior. It uses the pipe function to compose the flying and quacking mixins.  Functional mixins are a powerful tool for object composition in JavaScript. However, like any tool, they should be used judiciously. Always use the simplest possible abstraction to solve the problem you're working on. Start with a pure function. If you need an object with persistent state, try a factory function. If you need to build more complex objects, try functional mixins.
- *  */
\ No newline at end of file
+ *  */
+
+// ---------------------------------pipe, compose and mix----------------------------------
+
+/*
+ * pipe and compose live in src/object/utils/mixin.js. compose is pipe read
+ * from right to left, so these two ducks are built the same way:
+ *  */
+const createDuck2 = (quack) => compose(quacking(quack), flying)({})
+console.log(createDuck2('Quack!').fly().quack()) // Quack!
+
+/*
+ * Every example above calls Object.assign by hand, and Object.assign lets
+ * the last source silently win whenever two of them have a method with the
+ * same name. mix does the copying for you and refuses to overwrite a method
+ * unless you tell it how to resolve the collision. It accepts plain object
+ * mixins (sayMixin) and functional mixins (flying) alike, and remembers
+ * which mixins were applied to each object.
+ *  */
+const pilot = mix({ name: 'Amelia' }, sayMixin, flying)
+pilot.fly().sayHi() // Hello Amelia
+console.log(appliedMixins(pilot).length) // 2
+
+const loudMixin = {
+  sayHi() {
+    console.log(`HELLO ${this.name.toUpperCase()}`)
+  },
+}
+
+try {
+  mix({ name: 'Amelia' }, sayMixin, loudMixin)
+} catch (e) {
+  console.log(e.message) // Mixin #2 conflicts on method 'sayHi'
+}
+
+// override: the last mixin wins, like Object.assign
+const overrideMix = createMix({ onConflict: 'override' })
+overrideMix({ name: 'Amelia' }, sayMixin, loudMixin).sayHi() // HELLO AMELIA
+
+// chain: both methods run, in the order the mixins were applied
+const chainMix = createMix({ onConflict: 'chain' })
+chainMix({ name: 'Amelia' }, sayMixin, loudMixin).sayHi()
+// Hello Amelia
+// HELLO AMELIA
+
+// ---------------------------------------traits------------------------------------------
+
+/*
+ * sayMixin quietly assumes there is a this.name, and nothing stops two
+ * mixins from fighting over sayHi unless mix is asked to. A trait
+ * (src/object/utils/trait.js) states what it provides and what it requires:
+ * missing methods are reported as soon as it is applied, missing fields as
+ * soon as one of its methods runs, and conflicts have to be resolved by
+ * aliasing or excluding a method.
+ *  */
+const { Trait, composeTraits, appliedTraits } = require('../utils/trait')
+
+const Greets = Object.create(Trait).init({
+  name: 'Greets',
+  provides: sayMixin,
+  requires: { fields: ['name'] },
+})
+const Shouts = Object.create(Trait).init({
+  name: 'Shouts',
+  provides: loudMixin,
+  requires: { fields: ['name'] },
+})
+
+try {
+  composeTraits(Greets, Shouts)
+} catch (e) {
+  console.log(e.message)
+  // Greets and Shouts both provide 'sayHi': alias or exclude it in one of them
+}
+
+const announcer = composeTraits(
+  Greets,
+  Shouts.resolve({ alias: { sayHi: 'shout' } }),
+).applyTo({ name: 'Amelia' })
+announcer.sayHi() // Hello Amelia
+announcer.shout() // HELLO AMELIA
+console.log(appliedTraits(announcer).map(({ name }) => name)) // [ 'Greets+Shouts' ]
+
+try {
+  Greets.applyTo({})
+} catch (e) {
+  console.log(e.message)
+  // Greets requires field 'name', which the target doesn't have
+}
+
+/*
+ * Traits apply to constructor prototypes too. Describes needs a
+ * calculateHash, which Transaction.prototype already has from HasHash, so
+ * it applies; a plain object without one is refused straight away. A
+ * trait that brings its own calculateHash has to alias it, because it
+ * would otherwise replace the one Transaction.prototype has.
+ *  */
+const Describes = Object.create(Trait).init({
+  name: 'Describes',
+  provides: {
+    describe() {
+      return `${this.sender} -> ${this.recipient} #${this.calculateHash()}`
+    },
+  },
+  requires: { methods: ['calculateHash'], fields: ['sender', 'recipient'] },
+})
+const Sha256Hashes = Object.create(Trait).init({
+  name: 'Sha256Hashes',
+  provides: HasHash(['sender', 'recipient', 'funds'], { algorithm: 'sha256' }),
+  requires: { fields: ['sender', 'recipient', 'funds'] },
+})
+
+try {
+  Describes.applyTo({ sender: 'luis@tjoj.com' })
+} catch (e) {
+  console.log(e.message)
+  // Describes requires method 'calculateHash', which the target doesn't have
+}
+
+try {
+  Sha256Hashes.applyTo(Transaction.prototype)
+} catch (e) {
+  console.log(e.message)
+  // Sha256Hashes conflicts with Transaction.prototype on 'calculateHash': exclude it or alias it
+}
+
+composeTraits(
+  Describes,
+  Sha256Hashes.resolve({ alias: { calculateHash: 'sha256' } }),
+).applyTo(Transaction.prototype)
+console.log(tx.describe()) // luis@tjoj.com -> luke@tjoj.com #2521982986957960700
+console.log(tx.sha256().length) // 64
+
+// ----------------------------------reversible mixins-----------------------------------
+
+/*
+ * Every Object.assign(Transaction.prototype, ...) above changed all
+ * transactions for good. applyMixin returns a handle whose remove() puts
+ * back exactly what the mixin replaced, and withMixin applies a mixin just
+ * for the duration of a callback, which is what a test touching a shared
+ * prototype needs.
+ *  */
+const { applyMixin, withMixin } = require('../utils/mixin')
+
+const legacyHash = tx.calculateHash()
+const sha = applyMixin(
+  Transaction.prototype,
+  HasHash(['sender', 'recipient', 'funds'], { algorithm: 'sha256' }),
+)
+console.log(tx.calculateHash().length) // 64
+sha.remove()
+console.log(tx.calculateHash() === legacyHash) // true
+
+// HasEvents is only there while the callback runs
+const heard = withMixin(Transaction.prototype, HasEvents(), () => {
+  const observed = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 5)
+  return observed.on('seen', () => {}).emit('seen')
+})
+console.log(heard) // true
+console.log(Transaction.prototype.emit) // undefined
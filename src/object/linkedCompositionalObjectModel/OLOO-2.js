@@ -30,22 +30,20 @@
  * seen as peers that link together and delegate functionality to each other.
  * */
 
-const MyStore = {
-  // initialize the store with an element
-  init(element) {
-    this.length = 0
-    // then call the push method to add the element to the store
-    this.push(element)
-  },
-
-  // add a new element to the store
-  push(b) {
-    this[this.length] = b
-    return ++this.length
-  },
-}
+/*
+ * MyStore is a small array-like store with init and push methods, and
+ * Blockchain is linked to it with Object.create(MyStore). Both live in
+ * src/object/blockchain so other examples can reuse them.
+ *  */
+const { MyStore } = require('../blockchain/MyStore')
+const { Blockchain, createGenesisBlock } = require('../blockchain/Blockchain')
+const { Block } = require('../blockchain/Block')
+const { Transaction } = require('../blockchain/Transaction')
+const { Wallet } = require('../blockchain/Wallet')
+const { Ledger } = require('../blockchain/Ledger')
+const { TransactionPool } = require('../blockchain/TransactionPool')
+const { MerkleTree } = require('../blockchain/MerkleTree')
 
-const Blockchain = Object.create(MyStore)
 const chain = Object.create(Blockchain)
 /*
  * MyStore is an object that has methods init and push. Blockchain is an
@@ -54,34 +52,317 @@ const chain = Object.create(Blockchain)
  * that is linked to Blockchain, and therefore also has access to MyStore's
  * methods.
  *
- * Blockchain is an object that is linked to MyStore using Object.create().
- * This means that Blockchain has access to MyStore's methods. Similarly,
- * chain is an object that is linked to Blockchain, and therefore also has
- * access to MyStore's methods.
+ * Blockchain overrides push to link every block to the one before it, and
+ * then delegates the actual storing back to MyStore.push, the same way
+ * Dog.init calls Animal.init further down.
  *  */
 
 /*
- * The init method is used to initialize a new block with a given element,
- * and the push method is used to add the block to the blockchain. The
+ * The init method is used to initialize the chain with its first block, and
+ * the push method is used to add the block to the blockchain. The
  * chain.init(createGenesisBlock) line of code is creating the first block in
- * the blockchain, also known as the genesis block.
+ * the blockchain, also known as the genesis block. init accepts either a
+ * block or a factory function that returns one.
+ *
+ * createBlock returns a block already linked to the last block in the chain
+ * (its index and previousHash are filled in). Before it can be pushed it has
+ * to be mined: mine keeps incrementing the block's nonce until its hash
+ * starts with `difficulty` zeros. push rejects blocks that aren't mined.
+ *
+ * Apart from the genesis block, a block's data is always a list of
+ * transactions (empty here), never free text.
+ *  */
+chain.init(createGenesisBlock)
+
+/*
+ * difficulty and miningReward live on Blockchain, so every chain shares
+ * them through delegation. Setting chain.difficulty shadows the shared
+ * value for this chain only. Every block after the genesis block has to
+ * meet the chain's difficulty, so it is set before the first one is mined.
  *  */
-function Block(data, previousHash) {
-  this.data = data
-  this.previousHash = previousHash
-  this.hash = this.calculateHash()
+chain.difficulty = 3
+
+/*
+ * MyStore emits a 'push' event (see HasEvents) for every element pushed.
+ * Listeners are looked up through the same prototype chain as methods, so a
+ * listener on Blockchain hears about the blocks pushed on every chain
+ * linked to it, chain included, without polling them.
+ *  */
+const onPush = (block, index) => console.log(`block ${index} pushed`)
+Blockchain.on('push', onPush)
+chain.push(chain.createBlock([]).mine(chain.difficulty)) // block 1 pushed
+Blockchain.off('push', onPush)
+
+console.log(chain.length) // 2
+console.log(chain[1].previousHash === chain[0].hash) // true
+console.log(chain[1].hash) // 00... (as many zeros as chain.difficulty)
+console.log(chain.validate()) // { valid: true }
+
+try {
+  chain.push(new Block([]))
+} catch (e) {
+  console.log(e.message) // Block 2 has not been mined at difficulty 3
 }
-Block.prototype.calculateHash = function () {
-  return this.data + this.previousHash
+
+/*
+ * mineBlock mines a list of transactions into a new block and pays the
+ * mining reward to the miner as a Transaction in that same block. Mining
+ * can take thousands of calculateHash calls per block, and all of them run
+ * the single calculateHash function shared on Block.prototype.
+ *  */
+const mined = chain.mineBlock([], 'miner@tjoj.com')
+console.log(Blockchain.difficulty, chain.difficulty) // 2 3
+console.log(mined.nonce) // number of attempts it took
+console.log(mined.data[0].displayTransaction()) // Transaction from null to miner@tjoj.com
+console.log(mined.data[0].funds) // 50
+console.log(mined === chain.last()) // true, the sealed block on the chain
+
+/*
+ * Transactions are signed with the sender's Wallet (an Ed25519 keypair).
+ * The chain only accepts a transaction signed with the key registered for
+ * its sender, so unsigned transactions, or transactions signed by someone
+ * else's wallet, are rejected.
+ *  */
+const luis = Object.create(Wallet).init('luis@tjoj.com')
+const mallory = Object.create(Wallet).init('luis@tjoj.com')
+chain.registerWallet(luis)
+
+// luis earns a mining reward first, so there is something to spend
+chain.mineBlock([], 'luis@tjoj.com')
+
+const payment = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 10).sign(luis)
+console.log(payment.verifySignature()) // true
+chain.mineBlock([payment], 'miner@tjoj.com')
+
+const unsigned = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 10)
+const forged = new Transaction('luis@tjoj.com', 'mallory@tjoj.com', 10).sign(
+  mallory,
+)
+for (const tx of [unsigned, forged]) {
+  try {
+    chain.mineBlock([tx], 'miner@tjoj.com')
+  } catch (e) {
+    console.log(e.message)
+    // Block 5 rejected: transaction from luis@tjoj.com is not signed
+    // Block 5 rejected: transaction from luis@tjoj.com is forged
+  }
 }
 
-function createGenesisBlock() {
-  return new Block('Genesis Block', '0')
+// fields are typed (see defineModel), so a bad transaction can't be built
+try {
+  new Transaction('luis@tjoj.com', 'luke', -10)
+} catch (e) {
+  console.log(e.message) // Transaction.recipient must be an email, got 'luke'
 }
 
-chain.init(createGenesisBlock)
-chain.push(new Block('Block Data', 'Previous Block Hash'))
-console.log(chain) // 2
+/*
+ * Balances are not stored anywhere. The Ledger replays every transaction in
+ * the chain to compute them, and the chain uses the same replay to reject
+ * blocks that spend more than the sender has. assertCanSpend also counts
+ * transactions that are still pending, so the same funds can't be promised
+ * twice before they are mined.
+ *  */
+const ledger = Object.create(Ledger).init(chain)
+console.log(ledger.getBalance('luis@tjoj.com')) // 40
+console.log(ledger.getBalance('luke@tjoj.com')) // 10
+
+const pending = [
+  new Transaction('luis@tjoj.com', 'luke@tjoj.com', 30).sign(luis),
+]
+try {
+  ledger.assertCanSpend(
+    new Transaction('luis@tjoj.com', 'luke@tjoj.com', 30).sign(luis),
+    pending,
+  )
+} catch (e) {
+  console.log(e.message) // luis@tjoj.com cannot spend 30, only 10 available
+}
+
+try {
+  chain.mineBlock(
+    [new Transaction('luis@tjoj.com', 'luke@tjoj.com', 100).sign(luis)],
+    'miner@tjoj.com',
+  )
+} catch (e) {
+  console.log(e.message)
+  // Block 5 rejected: luis@tjoj.com spends more than their balance
+}
+
+// a signed payment is only valid once, so it can't be replayed either
+const once = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 1).sign(luis)
+for (const replayed of [[payment], [once, once]]) {
+  try {
+    chain.mineBlock(replayed, 'miner@tjoj.com')
+  } catch (e) {
+    console.log(e.message)
+    // Block 5 rejected: transaction from luis@tjoj.com is a replay
+  }
+}
+
+/*
+ * Instead of building transaction lists by hand, transactions wait in the
+ * chain's TransactionPool. The pool is linked to TransactionPool with
+ * Object.create, keys transactions by calculateHash() so the same one can't
+ * be queued twice (or again once it is mined), and orders them by fee (or
+ * by timestamp). minePending packages the pool into the next block and
+ * pays the fees to the miner.
+ *  */
+console.log(TransactionPool.isPrototypeOf(chain.pool)) // true
+
+const tip = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 5, {
+  fee: 2,
+}).sign(luis)
+const coffee = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 3).sign(luis)
+chain.addTransaction(coffee)
+chain.addTransaction(tip)
+console.log(chain.addTransaction(tip)) // false, already pending
+try {
+  chain.addTransaction(payment)
+} catch (e) {
+  console.log(e.message) // Transaction from luis@tjoj.com is already on the chain
+}
+console.log(chain.pool.list().map((tx) => tx.funds)) // [ 5, 3 ]
+
+const minedPending = chain.minePending('miner@tjoj.com')
+console.log(minedPending.data.length) // 3, two payments and the reward
+console.log(chain.pool.size) // 0
+console.log(ledger.getBalance('luis@tjoj.com')) // 30
+
+/*
+ * The pool is checked again before every block. Once a block mined
+ * directly spends luis's last 30, his pending 25 can't be paid anymore, so
+ * minePending drops it instead of failing on it every time.
+ *  */
+const stale = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 25).sign(luis)
+chain.addTransaction(stale)
+const spendAll = new Transaction('luis@tjoj.com', 'luke@tjoj.com', 30).sign(
+  luis,
+)
+chain.mineBlock([spendAll], 'miner@tjoj.com')
+console.log(chain.minePending('miner@tjoj.com').data.length) // 1, the reward
+console.log(chain.pool.size) // 0
+
+/*
+ * A block doesn't hash its whole transaction list. It stores the merkleRoot
+ * of a Merkle tree built from every transaction's calculateHash() (the
+ * HasHash mixin), and the block hash covers that root. getProof returns the
+ * few sibling hashes needed to show one transaction is in the block, and
+ * verifyProof checks them against the merkleRoot alone.
+ *  */
+const proof = minedPending.getProof(1)
+console.log(proof.length) // 2, one hash per tree level
+console.log(
+  MerkleTree.verifyProof(
+    coffee.calculateHash(),
+    proof,
+    minedPending.merkleRoot,
+  ),
+) // true
+console.log(
+  MerkleTree.verifyProof(tip.calculateHash(), proof, minedPending.merkleRoot),
+) // false
+
+// leaves and inner nodes are hashed differently, so an inner node of the
+// tree can't pass for a transaction
+const tree = MerkleTree.fromTransactions(minedPending.data)
+console.log(
+  MerkleTree.verifyProof(tree.levels[1][0], proof.slice(1), tree.root),
+) // false
+
+/*
+ * JSON.stringify keeps the data but not the prototypes: a parsed block is a
+ * plain object without calculateHash. Blockchain.fromJSON links blocks back
+ * to Block.prototype and transactions back to Transaction.prototype, and
+ * refuses any snapshot that doesn't validate. save/load do the same through
+ * a file.
+ *  */
+const os = require('node:os')
+const path = require('node:path')
+
+const file = chain.save(path.join(os.tmpdir(), 'oloo-chain.json'))
+const restored = Blockchain.load(file)
+console.log(Blockchain.isPrototypeOf(restored)) // true
+console.log(restored.length === chain.length) // true
+console.log(restored[5].data[0].displayTransaction()) // Transaction from luis@tjoj.com to luke@tjoj.com
+console.log(restored[5].hash === restored[5].calculateHash()) // true
+
+// a pending transaction that was mined since is left out, not fatal
+const stalePending = JSON.parse(JSON.stringify(chain))
+stalePending.pending = [spendAll]
+console.log(Blockchain.fromJSON(stalePending).pool.size) // 0
+
+const snapshot = JSON.parse(JSON.stringify(chain))
+snapshot.blocks[5].data[0].funds = 500
+try {
+  Blockchain.fromJSON(snapshot)
+} catch (e) {
+  console.log(e.message)
+  // Invalid chain snapshot: block 5 merkleRoot does not match data
+}
+
+/*
+ * A snapshot doesn't get to choose the rules it is checked against. Blocks
+ * mined by a chain that made mining free are refused, because fromJSON
+ * holds them to Blockchain's difficulty, not to the snapshot's.
+ *  */
+const cheap = Object.create(Blockchain).init()
+cheap.difficulty = 0
+cheap.miningReward = 1e9
+cheap.mineBlock([], 'mallory@tjoj.com')
+try {
+  Blockchain.fromJSON(JSON.stringify(cheap))
+} catch (e) {
+  console.log(e.message) // Invalid chain snapshot: block 1 difficulty 0 is below 2
+}
+
+// nor its genesis block: a first block that pays itself is refused
+const selfPaying = JSON.parse(JSON.stringify(chain))
+const payday = new Block([new Transaction(null, 'mallory@tjoj.com', 1e9)], '0')
+selfPaying.blocks[0] = JSON.parse(JSON.stringify(payday))
+try {
+  Blockchain.fromJSON(selfPaying)
+} catch (e) {
+  console.log(e.message) // Invalid chain snapshot: block 0 is not the genesis block
+}
+
+/*
+ * Every block's hash covers its data (through the merkleRoot) and the hash
+ * of the previous block, so tampering with any block would break the chain
+ * from that point on. That's why validate checks snapshots, as above, and
+ * why a chain doesn't let anyone edit a block once it is pushed: the block,
+ * its transactions and its slot in the chain are sealed. The attempt is
+ * reported and refused (and for the block and its transactions, in strict
+ * mode code, it also throws a TypeError).
+ *  */
+const tampered = Object.create(Blockchain)
+tampered.init(createGenesisBlock)
+tampered.mineBlock([], 'miner@tjoj.com')
+tampered.mineBlock([], 'miner@tjoj.com')
+tampered[1].data[0].funds = 1000 // Cannot set funds: this Transaction is sealed
+tampered[1].data = [] // Cannot set data: this Block is sealed
+tampered[1] = tampered[2] // Cannot set 1: it is locked
+console.log(tampered[1].data[0].funds) // 50
+console.log(tampered.validate()) // { valid: true }
+
+try {
+  ;(() => {
+    'use strict'
+    tampered[2].hash = '0000'
+  })()
+} catch (e) {
+  console.log(e instanceof TypeError) // true
+}
+
+/*
+ * A sealed transaction is changed by copying it with with(). The copy is
+ * linked to Transaction.prototype and shares everything that didn't change
+ * with the original, which stays as it was.
+ *  */
+const reward = tampered[1].data[0]
+const bigger = reward.with({ funds: 1000 })
+console.log(bigger.funds, reward.funds) // 1000 50
+console.log(bigger.recipient === reward.recipient) // true
+console.log(bigger.calculateHash() === reward.calculateHash()) // false
 
 // the objects are linked properly:
 console.log(MyStore.isPrototypeOf(Blockchain)) // true
@@ -113,6 +394,45 @@ console.log(chain.__proto__.init) // [Function: init]
 console.log(MyStore.prototype) // undefined
 console.log(Blockchain.prototype) // undefined
 
+/*
+ * The links are only as safe as the code that builds objects from outside
+ * data, though. A snapshot is untrusted input, and a "__proto__" key in it
+ * would relink a restored transaction if it were copied with Object.assign.
+ * fromJSON copies with safeAssign, which refuses it, and detectPollution
+ * confirms nothing shared was touched on the way.
+ *  */
+const { detectPollution } = require('../utils/safeMerge')
+
+const poisoned = JSON.parse(JSON.stringify(chain))
+poisoned.blocks[1].data[0] = JSON.parse(
+  '{"__proto__": {"isReward": "yes"}, "funds": 50}',
+)
+const attempt = detectPollution(() => {
+  try {
+    Blockchain.fromJSON(poisoned)
+  } catch (e) {
+    console.log(e.message) // Refusing to merge unsafe key '__proto__'
+  }
+})
+console.log(attempt.pollution) // []
+
+/*
+ * With no constructors around, inspectChain can't guess what to call each
+ * link, so we name them. It shows that chain.difficulty shadows the shared
+ * setting on Blockchain, and that push resolves to Blockchain's override
+ * while last comes from MyStore.
+ *  */
+const { inspectChain, renderTree } = require('../utils/inspectChain')
+
+const chainLinks = inspectChain(chain, {
+  names: { chain, Blockchain, MyStore },
+})
+console.log(
+  chainLinks.links[0].properties.find(({ key }) => key === 'difficulty')
+    .shadows,
+) // Blockchain
+console.log(chainLinks.methods.push, chainLinks.methods.last) // Blockchain MyStore
+
 console.log('---------------------  OLOO  ---------------------')
 
 // ---------------------  OLOO  ---------------------
@@ -164,3 +484,56 @@ Dog.bark = function () {
 const myDog = Object.create(Dog).init('Rex', 'German Shepherd')
 console.log(myDog.eat()) // Rex is eating.
 console.log(myDog.bark()) // Rex is barking.
+
+console.log(renderTree(inspectChain(myDog, { names: { myDog, Dog, Animal } })))
+/*
+[0] myDog
+      name = 'Rex' (ewc)
+      breed = 'German Shepherd' (ewc)
+[1] Dog
+      init() (ewc) shadows Animal
+      bark() (ewc)
+[2] Animal
+      init() (ewc) shadowed by Dog
+      eat() (ewc)
+[3] Object.prototype (12 built-in properties)
+[4] null
+methods:
+  init() -> Dog
+  bark() -> Dog
+  eat() -> Animal
+ */
+
+/*
+ * Traits (src/object/utils/trait.js) work on OLOO delegates as well. Fetches
+ * needs a bark method, which Dog has and Animal doesn't, so it can be
+ * applied to Dog but not to Animal. Every dog linked to Dog picks it up.
+ * Dog only gets a name once init runs on a dog, so it is applied as a
+ * prototype: the name is checked when fetch is called rather than now.
+ *  */
+const { Trait } = require('../utils/trait')
+
+const Fetches = Object.create(Trait).init({
+  name: 'Fetches',
+  provides: {
+    fetch(thing) {
+      return `${this.bark()} ${this.name} fetches the ${thing}.`
+    },
+  },
+  requires: { methods: ['bark'], fields: ['name'] },
+})
+
+try {
+  Fetches.applyTo(Animal, { prototype: true })
+} catch (e) {
+  console.log(e.message) // Fetches requires method 'bark', which the target doesn't have
+}
+
+Fetches.applyTo(Dog, { prototype: true })
+console.log(myDog.fetch('ball')) // Rex is barking. Rex fetches the ball.
+
+try {
+  Object.create(Dog).fetch('ball')
+} catch (e) {
+  console.log(e.message) // Fetches.fetch requires field 'name', which the target doesn't have
+}
@@ -10,6 +10,8 @@
  * If no object is provided, it defaults to an empty object {}.
  * */
 
+const { safeAssign } = require('../utils/safeMerge')
+
 function doSomething(config = {}) {
   /*
    * Inside the function, Object.assign() is used to merge the config object
@@ -17,8 +19,12 @@ function doSomething(config = {}) {
    * baz with values 'foo', 'bar', and 'baz' respectively. If the config
    * object has any of these properties, their values will overwrite the
    * default values.
+   *
+   * config may come from outside (a request body, a file), so safeAssign is
+   * used instead of Object.assign: it copies the same way but refuses a
+   * "__proto__" key, see the end of the mergeConfig section below.
    * */
-  config = Object.assign(
+  config = safeAssign(
     {
       foo: 'foo',
       bar: 'bar',
@@ -30,7 +36,7 @@ function doSomething(config = {}) {
    * The function then logs a string that includes the values of foo, bar, and
    * baz from the config object.
    * */
-  console.log(`Using config ${config.foo}, ${config.bar}, ${config.bar}`)
+  console.log(`Using config ${config.foo}, ${config.bar}, ${config.baz}`)
 }
 
 /*
@@ -38,8 +44,144 @@ function doSomething(config = {}) {
  * When you call doSomething({foo: 'hello'}), it overwrites the default value
  * of foo with 'hello'.
  *  */
-doSomething() // foo, bar, bar
-doSomething({ foo: 'hello' }) // hello, bar, bar
+doSomething() // foo, bar, baz
+doSomething({ foo: 'hello' }) // hello, bar, baz
+
+/*
+ * Object.assign only merges the top level. As soon as a default is itself an
+ * object, overriding one nested setting replaces the whole nested object:
+ *  */
+console.log(
+  Object.assign(
+    { server: { host: 'localhost', port: 80 } },
+    { server: { port: 8080 } },
+  ),
+) // { server: { port: 8080 } }, host is gone
+
+/*
+ * mergeConfig (src/object/utils/mergeConfig.js) merges nested objects
+ * instead, skips overrides that are undefined, and can validate the result
+ * against a schema so a typo or a wrong type fails loudly instead of being
+ * silently ignored.
+ *  */
+const { createMergeConfig, field } = require('../utils/mergeConfig')
+
+const mergeConfig = createMergeConfig({
+  schema: {
+    foo: 'string',
+    bar: 'string',
+    baz: 'string',
+    server: { host: 'string', port: 'number' },
+    plugins: field('array', { items: 'string', merge: 'union' }),
+  },
+})
+
+function doSomethingDeep(config = {}) {
+  config = mergeConfig(
+    {
+      foo: 'foo',
+      bar: 'bar',
+      baz: 'baz',
+      server: { host: 'localhost', port: 80 },
+      plugins: ['logger'],
+    },
+    config,
+  )
+  console.log(
+    `Using config ${config.foo}, ${config.bar}, ${config.baz},`,
+    `${config.server.host}:${config.server.port}, ${config.plugins}`,
+  )
+}
+
+doSomethingDeep({ server: { port: 8080 }, plugins: ['logger', 'cache'] })
+// Using config foo, bar, baz, localhost:8080, logger,cache
+doSomethingDeep({ foo: undefined }) // foo is skipped, the default stays
+
+try {
+  doSomethingDeep({ server: { prot: 8080 }, baz: 1 })
+} catch (e) {
+  console.log(e.message)
+  // Invalid config:
+  //   Config key 'baz' must be a string, got number
+  //   Unknown config key 'server.prot'
+}
+
+// only field() marks a spec, so a nested config can have a type of its own
+const mergeDatabase = createMergeConfig({
+  schema: { db: { type: 'string', host: 'string' } },
+})
+console.log(mergeDatabase({ db: { type: 'postgres', host: 'localhost' } }))
+// { db: { type: 'postgres', host: 'localhost' } }
+
+/*
+ * JSON.parse turns "__proto__" into an ordinary own key. Object.assign then
+ * copies it with a plain assignment, which goes through the __proto__
+ * setter and relinks the result: nothing is copied, but every default can
+ * now be shadowed by the attacker's object.
+ *  */
+const payload = JSON.parse('{"__proto__": {"isAdmin": true}}')
+console.log(Object.assign({}, payload).isAdmin) // true, inherited
+
+try {
+  doSomething(payload)
+} catch (e) {
+  console.log(e.message) // Refusing to merge unsafe key '__proto__'
+}
+
+/*
+ * safeMerge is the deep version of safeAssign. It refuses the same keys at
+ * any depth, or skips them when asked to, and can build its result on
+ * null-prototype objects, which have no prototype to reach at all.
+ *  */
+const {
+  safeMerge,
+  createSafeMerge,
+  detectPollution,
+} = require('../utils/safeMerge')
+
+try {
+  safeMerge(
+    { server: { port: 80 } },
+    JSON.parse('{"server": {"__proto__": {}}}'),
+  )
+} catch (e) {
+  console.log(e.message) // Refusing to merge unsafe key 'server.__proto__'
+}
+
+const lenientMerge = createSafeMerge({
+  onUnsafeKey: 'skip',
+  nullPrototype: true,
+})
+const merged = lenientMerge({ server: { port: 80 } }, payload)
+console.log(merged.server.port) // 80, the __proto__ key was skipped
+console.log(Object.getPrototypeOf(merged.server)) // null
+
+/*
+ * A naive deep merge is worse than Object.assign: it follows __proto__ and
+ * writes straight into Object.prototype, so every object in the program
+ * gets the key. detectPollution compares the shared prototypes before and
+ * after a function runs, reports what changed and puts it back.
+ *  */
+function naiveMerge(target, source) {
+  for (const key in source) {
+    if (typeof source[key] === 'object' && source[key] !== null) {
+      target[key] = naiveMerge(target[key] ?? {}, source[key])
+    } else {
+      target[key] = source[key]
+    }
+  }
+  return target
+}
+
+const { pollution } = detectPollution(() => {
+  naiveMerge({}, payload)
+  console.log({}.isAdmin) // true, every object is an admin now
+})
+console.log(pollution)
+// [ { prototype: 'Object.prototype', key: 'isAdmin', change: 'added' } ]
+console.log({}.isAdmin) // undefined, restored
+
+console.log(detectPollution(() => safeMerge({}, { a: 1 })).pollution) // []
 
 // ---------------------------------------------------------------------------
 
@@ -117,4 +259,88 @@ const sc = {
 }
 
 const obj = Object.assign({}, sa, sb, sc)
-console.log(obj) // { sa: 'sb', sb: 'sb', sc: 'sc' }
\ No newline at end of file
+console.log(obj) // { sa: 'sb', sb: 'sb', sc: 'sc' }
+
+// ---------------------------assignDescriptors-------------------------------------
+
+/*
+ * Object.assign copies values, not properties. Two things get lost on the
+ * way:
+ * - non-enumerable properties are skipped (b.b above)
+ * - getters are called once and the result is copied as a plain value
+ *
+ * assignDescriptors (src/object/utils/assignDescriptors.js) copies the full
+ * property descriptors instead, symbols included.
+ *  */
+const {
+  assignDescriptors,
+  createAssignDescriptors,
+} = require('../utils/assignDescriptors')
+
+// non-enumerable properties are only copied when asked for
+const assignAll = createAssignDescriptors({ nonEnumerable: true })
+console.log(assignAll({}, a, b).b) // b
+console.log(assignDescriptors({}, a, b).b) // undefined, like Object.assign
+
+/*
+ * The flying mixin from Mixin-4.js keeps its state in a closure. Written
+ * with a getter instead of an isFlying() method, Object.assign would copy
+ * whatever the getter returned at that moment, and the copy would never
+ * change again.
+ *  */
+const flyingWithGetter = (o) => {
+  let isFlying = false
+  return assignDescriptors({}, o, {
+    fly() {
+      isFlying = true
+      return this
+    },
+    get isFlying() {
+      return isFlying
+    },
+  })
+}
+
+const copied = Object.assign({}, flyingWithGetter({}))
+console.log(copied.fly().isFlying) // false, the getter was flattened
+
+const bird = assignDescriptors({}, flyingWithGetter({}))
+console.log(bird.fly().isFlying) // true, the getter is still live
+
+// symbol keys are copied too
+const id = Symbol('id')
+console.log(assignDescriptors({}, { [id]: 42 })[id]) // 42
+
+/*
+ * super inside a mixin method refers to the prototype of the mixin object
+ * itself, which is Object.prototype, and copying the method doesn't change
+ * that. A mixin that wants super to mean the target's prototype is written
+ * as a factory and passed through rebindSuper, which links a fresh copy of
+ * it to the prototype of the object it is copied onto.
+ *  */
+const { rebindSuper } = require('../utils/assignDescriptors')
+
+const Animal = {
+  describe() {
+    return 'an animal'
+  },
+}
+
+const Dog = Object.create(Animal)
+
+const describeLoudly = () => ({
+  describe() {
+    return super.describe().toUpperCase()
+  },
+})
+
+// copied as it is, super still looks at Object.prototype
+const plainDog = assignDescriptors(Object.create(Animal), describeLoudly())
+try {
+  plainDog.describe()
+} catch (e) {
+  console.log(e.message) // (intermediate value).describe is not a function
+}
+
+assignDescriptors(Dog, rebindSuper(Dog, describeLoudly))
+console.log(Dog.describe()) // AN ANIMAL
@@ -0,0 +1,132 @@
+/*
+ * Delegation across process boundaries
+ *
+ * Every chain so far lived in a single process. A Peer
+ * (src/object/blockchain/Peer.js) wraps a chain created with
+ * Object.create(Blockchain) and shares it with other peers over TCP on
+ * localhost: new blocks, pool transactions and wallet keys are broadcast,
+ * and a peer that receives a valid chain with more work behind it adopts
+ * it.
+ *
+ * What travels between peers is plain JSON. Each peer turns it back into
+ * objects linked to Block.prototype, Transaction.prototype and Blockchain
+ * with fromJSON, so on every peer the same shared methods (calculateHash,
+ * validate, push) do the checking.
+ *
+ * Everything runs offline on one machine: one peer runs in a child process,
+ * the others in this one.
+ *  */
+
+const { fork } = require('node:child_process')
+const { Blockchain } = require('../blockchain/Blockchain')
+const { Peer } = require('../blockchain/Peer')
+const { Transaction } = require('../blockchain/Transaction')
+const { Wallet } = require('../blockchain/Wallet')
+
+// polls until check() is true, so the demo can wait for messages to arrive
+function until(check, timeout = 5000) {
+  const started = Date.now()
+  return new Promise((resolve, reject) => {
+    const poll = () => {
+      if (check()) return resolve()
+      if (Date.now() - started > timeout) {
+        return reject(new Error('Timed out waiting for peers to sync'))
+      }
+      setTimeout(poll, 20)
+    }
+    poll()
+  })
+}
+
+async function main() {
+  const alice = await Object.create(Peer).init().listen()
+
+  /*
+   * bob is a separate node process started from Peer.js. It reports its
+   * port and chain length back over the IPC channel fork sets up.
+   *  */
+  const bob = { port: null, length: 0 }
+  const bobProcess = fork(require.resolve('../blockchain/Peer'), [
+    '0',
+    String(alice.port),
+  ])
+  bobProcess.on('message', (state) => Object.assign(bob, state))
+  await until(() => bob.port !== null && alice.sockets.size === 1)
+
+  const luis = Object.create(Wallet).init('luis@tjoj.com')
+  alice.registerWallet(luis)
+  alice.mine('luis@tjoj.com')
+  alice.addTransaction(
+    new Transaction('luis@tjoj.com', 'luke@tjoj.com', 10).sign(luis),
+  )
+  alice.mine('miner@tjoj.com')
+
+  await until(() => bob.length === alice.chain.length)
+  console.log('bob caught up to', bob.length, 'blocks') // 3
+
+  /*
+   * carol joins late and only knows about bob. Asking bob for his chain
+   * as soon as she connects is enough to catch up, even though she never
+   * talks to alice directly.
+   *  */
+  const carol = await Object.create(Peer).init().listen()
+  await carol.connect(bob.port)
+  await until(() => carol.chain.length === alice.chain.length)
+  console.log('carol caught up to', carol.chain.length, 'blocks') // 3
+  console.log(carol.chain.validate()) // { valid: true }
+
+  /*
+   * A fork: dave and erin mine on their own, so they end up with two
+   * different chains. Once they connect, dave drops his chain and takes
+   * erin's, which has more work behind it.
+   *  */
+  const dave = await Object.create(Peer).init().listen()
+  const erin = await Object.create(Peer).init().listen()
+  dave.mine('dave@tjoj.com')
+  erin.mine('erin@tjoj.com')
+  erin.mine('erin@tjoj.com')
+
+  await dave.connect(erin.port)
+  await until(() => dave.chain.last().hash === erin.chain.last().hash)
+  console.log('dave adopted the chain with most work:', dave.chain.length) // 3
+
+  /*
+   * Length alone would be easy to fake: a chain of unmined blocks is as
+   * long as you like. carol checks a candidate against her own difficulty
+   * and reward, compares the work behind it, and keeps her chain.
+   *  */
+  const cheap = Object.create(Blockchain).init()
+  cheap.difficulty = 0
+  cheap.miningReward = 1e9
+  for (let i = 0; i < 6; i++) {
+    cheap.mineBlock([], 'mallory@tjoj.com')
+  }
+  console.log(carol.replaceChain(JSON.stringify(cheap))) // false
+  console.log(carol.chain.length, carol.chain.difficulty) // 3 2
+
+  /*
+   * Nor does a candidate pick the keys it is checked against. mallory
+   * builds a chain with more work on which her own key is registered for
+   * luis, so she can sign his payments to her. carol already knows luis's
+   * key and refuses it.
+   *  */
+  const fakeLuis = Object.create(Wallet).init('luis@tjoj.com')
+  const impostor = Object.create(Blockchain).init()
+  impostor.registerWallet(fakeLuis)
+  impostor.mineBlock([], 'luis@tjoj.com')
+  impostor.addTransaction(
+    new Transaction('luis@tjoj.com', 'mallory@tjoj.com', 50).sign(fakeLuis),
+  )
+  impostor.minePending('mallory@tjoj.com')
+  impostor.mineBlock([], 'mallory@tjoj.com')
+  console.log(carol.replaceChain(JSON.stringify(impostor))) // false
+  console.log(carol.chain.publicKeys.get('luis@tjoj.com') === luis.publicKey) // true
+
+  bobProcess.disconnect()
+  await Promise.all([alice, carol, dave, erin].map((peer) => peer.close()))
+}
+
+main().catch((e) => {
+  console.error(e)
+  process.exitCode = 1
+})
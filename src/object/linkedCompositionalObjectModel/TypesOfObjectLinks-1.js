@@ -55,3 +55,163 @@ const FooE = {
 }
 
 FooE.saySomething('hello') // Prints HELLO
+
+/*
+ * Rather than pointing at UpperCaseFormatterE itself (and checking that it
+ * is there), FooDI only names the dependency it needs. A container
+ * (src/object/utils/container.js) decides what goes by that name and sets
+ * the formatter property when an object linked to FooDI is created.
+ *  */
+const { createContainer } = require('../utils/container')
+
+const FooDI = {
+  dependencies: ['formatter'],
+  saySomething: function print(msg) {
+    console.log(this.formatter.format(msg))
+  },
+}
+
+const container = createContainer()
+container.value('formatter', UpperCaseFormatterE)
+
+const fooDI = container.create(FooDI)
+console.log(fooDI.formatter === UpperCaseFormatterE) // true
+fooDI.saySomething('hello') // Prints HELLO
+
+/*
+ * Swapping the formatter, or the hash function for a mock in a test, is a
+ * change to the container, not to the objects. Singletons (the default
+ * scope) are built once and shared; transients are built for every object
+ * that needs one, like the store each Receipt keeps its lines in.
+ *  */
+const { hash } = require('../utils/hash')
+
+const Receipt = {
+  dependencies: ['formatter', 'hasher', 'store'],
+  init(title) {
+    this.title = title
+    return this
+  },
+  print(msg) {
+    const line = `${this.title}: ${this.formatter.format(msg)} #${this.hasher(msg)}`
+    this.store.push(line)
+    console.log(line)
+  },
+}
+
+container
+  .value('hasher', hash)
+  .register('store', () => [], { scope: 'transient' })
+  .register('audit', () => [])
+  .register(
+    'logger',
+    ({ formatter }) => ({ log: (msg) => console.log(formatter.format(msg)) }),
+    { dependencies: ['formatter'] },
+  )
+
+const receipt = container.create(Receipt, 'order')
+receipt.print('paid') // order: PAID #11786615050896
+console.log(receipt.store === container.create(Receipt, 'refund').store) // false
+console.log(container.resolve('logger') === container.resolve('logger')) // true
+
+// only the singletons that need the formatter are rebuilt for an override
+const logger = container.resolve('logger')
+const audit = container.resolve('audit')
+const handle = container.override('formatter', {
+  format: (msg) => msg.toLowerCase(),
+})
+container.create(FooDI).saySomething('HELLO') // Prints hello
+container.resolve('logger').log('Rebuilt') // rebuilt
+console.log(container.resolve('logger') === logger) // false
+console.log(container.resolve('audit') === audit) // true
+handle.remove()
+container.resolve('logger').log('Restored') // RESTORED
+
+container.withOverrides({ hasher: (msg) => `mock(${msg})` }, () => {
+  container.create(Receipt, 'test').print('paid') // test: PAID #mock(paid)
+})
+receipt.print('paid') // order: PAID #11786615050896, created before the mock
+
+// what isn't registered, and what ends up needing itself, fails loudly
+try {
+  container.create({ dependencies: ['clock'] })
+} catch (e) {
+  console.log(e.message) // Unknown dependency 'clock'
+}
+
+const cyclic = createContainer()
+  .register('formatter', ({ logger }) => logger, { dependencies: ['logger'] })
+  .register('logger', ({ formatter }) => formatter, {
+    dependencies: ['formatter'],
+  })
+try {
+  cyclic.resolve('logger')
+} catch (e) {
+  console.log(e.message) // Circular dependency: logger -> formatter -> logger
+}
+
+// --------------------------------------------
+
+// 3. Multiple Delegation
+
+/*
+ * Object.create gives Foo a single prototype, so it can delegate to
+ * UpperCaseFormatter or to a logger, never to both. delegateTo
+ * (src/object/utils/delegateTo.js) returns a Proxy that looks a missing
+ * property up on each of several peers in turn, so FooL is both a
+ * formatter and a logger without any method being copied onto it.
+ *  */
+const { delegateTo, delegatesOf } = require('../utils/delegateTo')
+
+const Logger = {
+  prefix: '[log]',
+  log(msg) {
+    console.log(`${this.prefix} ${msg}`)
+  },
+}
+
+const FooL = delegateTo(
+  {
+    saySomething(msg) {
+      this.log(this.format(msg))
+    },
+  },
+  [UpperCaseFormatter, Logger],
+)
+FooL.saySomething('hello') // [log] HELLO
+
+// the peers stay live, and `in` and for...in see what they provide
+Logger.prefix = '[info]'
+FooL.saySomething('hello') // [info] HELLO
+console.log('format' in FooL, 'log' in FooL) // true true
+for (const key in FooL) {
+  console.log(key) // saySomething, format, prefix, log
+}
+console.log(delegatesOf(FooL).length) // 2
+
+/*
+ * When two peers provide the same property, the first one wins (or the
+ * last, with order: 'last'), and the lookup is reported once so the clash
+ * doesn't go unnoticed. prefer settles it explicitly.
+ *  */
+const LowerCaseFormatter = {
+  format(msg) {
+    return msg.toLowerCase()
+  },
+}
+
+const ambiguous = delegateTo({}, [UpperCaseFormatter, LowerCaseFormatter], {
+  names: { UpperCaseFormatter, LowerCaseFormatter },
+  onAmbiguous: ({ key, peers, chosen }) =>
+    console.log(
+      `${key} is provided by ${peers.join(' and ')}, using ${chosen}`,
+    ),
+})
+console.log(ambiguous.format('Hello'))
+// format is provided by UpperCaseFormatter and LowerCaseFormatter, using UpperCaseFormatter
+// HELLO
+
+const quiet = delegateTo({}, [UpperCaseFormatter, LowerCaseFormatter], {
+  prefer: { format: LowerCaseFormatter },
+})
+console.log(quiet.format('Hello')) // hello
@@ -0,0 +1,85 @@
+/*
+ * Functional mixin that makes an object observable, in the same style as
+ * HasHash: on/off/once register listeners, emit calls them.
+ *
+ * assignDescriptors(MyStore, HasEvents())
+ * chain.on('push', (block, index) => render(block))
+ *
+ * Listeners belong to the object they were registered on, and emit walks
+ * the prototype chain of the emitting object: an event emitted by chain
+ * reaches the listeners on chain first, then those on Blockchain, then
+ * those on MyStore. Listening on a shared prototype is how to observe every
+ * object linked to it. Listeners are called with the emitting object as
+ * this.
+ *
+ * Listeners are kept in a WeakMap rather than on the objects themselves, so
+ * frozen and sealed objects can be listened to as well, and objects that
+ * are no longer used don't stay alive because of it.
+ *  */
+const registry = new WeakMap()
+
+function listenersOf(obj, event, create = false) {
+  let events = registry.get(obj)
+  if (!events && create) {
+    events = new Map()
+    registry.set(obj, events)
+  }
+  let listeners = events?.get(event)
+  if (!listeners && create) {
+    listeners = []
+    events.set(event, listeners)
+  }
+  return listeners ?? []
+}
+
+const HasEvents = () => ({
+  on(event, listener, { once = false } = {}) {
+    if (typeof listener !== 'function') {
+      throw new TypeError(`Listener for '${event}' must be a function`)
+    }
+    listenersOf(this, event, true).push({ listener, once })
+    return this
+  },
+
+  once(event, listener) {
+    return this.on(event, listener, { once: true })
+  },
+
+  // removes one listener, or every listener for event when none is given
+  off(event, listener) {
+    const listeners = listenersOf(this, event)
+    for (let i = listeners.length - 1; i >= 0; i--) {
+      if (listener === undefined || listeners[i].listener === listener) {
+        listeners.splice(i, 1)
+      }
+    }
+    return this
+  },
+
+  // returns whether any listener was called
+  emit(event, ...args) {
+    let called = false
+    for (
+      let current = this;
+      current !== null;
+      current = Object.getPrototypeOf(current)
+    ) {
+      const listeners = listenersOf(current, event)
+      // a copy, so listeners can add or remove listeners while being called
+      for (const entry of [...listeners]) {
+        if (entry.once) {
+          const index = listeners.indexOf(entry)
+          if (index === -1) {
+            continue // already called or removed during this emit
+          }
+          listeners.splice(index, 1)
+        }
+        entry.listener.apply(this, args)
+        called = true
+      }
+    }
+    return called
+  },
+})
+
+module.exports = { HasEvents }
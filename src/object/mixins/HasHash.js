@@ -0,0 +1,20 @@
+const { hash } = require('../utils/hash')
+const { canonicalize } = require('../utils/serialize')
+
+/*
+ * Functional mixin that adds a calculateHash method hashing the values of
+ * the given keys. The values are canonicalized first, so neither key order
+ * nor concatenation ('ab' + 'c' vs 'a' + 'bc') can make two different
+ * objects hash the same. The algorithm defaults to 'legacy'; pass
+ * { algorithm: 'sha256' } for a real digest.
+ *
+ * Object.assign(Transaction.prototype, HasHash(['sender', 'recipient']))
+ *  */
+const HasHash = (keys, { algorithm = 'legacy' } = {}) => ({
+  calculateHash() {
+    const fields = Object.fromEntries(keys.map((f) => [f, this[f]]))
+    return hash(canonicalize(fields), { algorithm })
+  },
+})
+
+module.exports = { HasHash }
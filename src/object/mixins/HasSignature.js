@@ -0,0 +1,56 @@
+const { verify } = require('node:crypto')
+const { canonicalize } = require('../utils/serialize')
+
+/*
+ * Functional mixin that lets an object be signed by a Wallet and verified
+ * later, in the same style as HasHash: the keys say which fields the
+ * signature covers, and signer names the field holding the address that is
+ * allowed to sign.
+ *
+ * Object.assign(Transaction.prototype, HasSignature(['sender', 'recipient']))
+ *
+ * sign stores the signature and the wallet's public key on the object, so
+ * verifySignature needs nothing else to check it. Always use the object sign
+ * returns: for an immutable object that is a signed copy.
+ *  */
+const HasSignature = (keys, { signer = 'sender' } = {}) => {
+  const payload = (obj) =>
+    canonicalize(Object.fromEntries(keys.map((f) => [f, obj[f]])))
+
+  return {
+    sign(wallet) {
+      if (wallet.address !== this[signer]) {
+        throw new Error(
+          `Wallet ${wallet.address} cannot sign for ${this[signer]}`,
+        )
+      }
+      const signed = {
+        publicKey: wallet.publicKey,
+        signature: wallet.sign(payload(this)),
+      }
+      // immutable objects (see IsImmutable) return a signed copy instead
+      return typeof this.with === 'function'
+        ? this.with(signed)
+        : Object.assign(this, signed)
+    },
+
+    verifySignature() {
+      if (!this.signature || !this.publicKey) {
+        return false
+      }
+      try {
+        return verify(
+          null,
+          Buffer.from(payload(this)),
+          this.publicKey,
+          Buffer.from(this.signature, 'hex'),
+        )
+      } catch (e) {
+        // a malformed key or signature is simply not a valid signature
+        return false
+      }
+    },
+  }
+}
+
+module.exports = { HasSignature }
@@ -0,0 +1,18 @@
+const { withChanges } = require('../utils/immutable')
+
+/*
+ * Functional mixin for objects that are sealed once created (see
+ * utils/immutable.js). Instead of being changed, they are copied:
+ *
+ *   const bigger = tx.with({ funds: 20 })
+ *
+ * with returns a new sealed object linked to the same prototype that shares
+ * every unchanged value with the original, which stays as it was.
+ *  */
+const IsImmutable = () => ({
+  with(changes) {
+    return withChanges(this, changes)
+  },
+})
+
+module.exports = { IsImmutable }
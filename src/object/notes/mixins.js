@@ -37,3 +37,29 @@ Object.assign(User.prototype, sayMixin)
 let user = new User('John')
 user.sayHi() // Hello John
 user.sayBye() // Bye John
+
+/*
+ * Object.assign can't be undone: from now on every User has sayHi and
+ * sayBye. applyMixin returns a handle that can take them away again,
+ * restoring whatever User.prototype had before, and withMixin only keeps
+ * the mixin around while a callback runs. That keeps changes to a shared
+ * prototype from leaking, e.g. from one test case into the next.
+ */
+const { applyMixin, withMixin } = require('../utils/mixin')
+
+let Guest = function (name) {
+  this.name = name
+}
+Guest.prototype.sayHi = function () {
+  console.log(`Hi, I am ${this.name}`)
+}
+
+let guest = new Guest('Jane')
+const greeting = applyMixin(Guest.prototype, sayMixin)
+guest.sayHi() // Hello Jane
+greeting.remove()
+guest.sayHi() // Hi, I am Jane
+console.log(guest.sayBye) // undefined
+
+withMixin(Guest.prototype, sayMixin, () => guest.sayBye()) // Bye Jane
+console.log(guest.sayBye) // undefined
@@ -121,3 +121,118 @@ bill.sayName() // Cat prototype method
 bill.meow() // Cat prototype method
 bill.nickName() // bill method
 console.log(bill.lives) // Cat property
+
+// ----------------------------------------------------------------
+
+// ////////////////////////
+// inspecting the chain   /
+// ////////////////////////
+/*
+inspectChain shows every link from bill up to null. Because Cat.prototype
+is an Animal instance, specie lives on Cat.prototype and not on bill, and
+sayName is copied onto every cat instead of being shared.
+*/
+const { inspectChain, renderTree, renderDot } = require('../utils/inspectChain')
+
+console.log(renderTree(inspectChain(bill)))
+/*
+[0] Cat instance
+      lives = 9 (ewc)
+      name = 'Bailey' (ewc)
+      sayName() (ewc)
+      nickName() (ewc)
+[1] Cat.prototype
+      specie = 'Animal' (ewc)
+      meow() (ewc)
+      constructor() (-w-) shadows Animal.prototype
+[2] Animal.prototype
+      constructor() (-wc) shadowed by Cat.prototype
+      walk() (ewc)
+[3] Object.prototype (12 built-in properties)
+[4] null
+methods:
+  sayName() -> Cat instance
+  nickName() -> Cat instance
+  meow() -> Cat.prototype
+  constructor() -> Cat.prototype
+  walk() -> Animal.prototype
+*/
+
+// paste into `dot -Tsvg` to draw the same chain
+console.log(renderDot(inspectChain(bill)))
+
+// ----------------------------------------------------------------
+
+// /////////////////////////
+// checking the wiring     /
+// /////////////////////////
+/*
+checkInheritance reports the mistakes from above. Cat.prototype was made
+with new Animal(), so every cat shares the same specie, and Cat itself was
+never linked to Animal. Spotting Animal's instance state means calling
+Animal once, so that check has to be asked for with probe.
+*/
+const { inherits, checkInheritance } = require('../utils/inherits')
+
+console.log(
+  checkInheritance(Cat, Animal, { probe: true }).map(({ rule }) => rule),
+)
+// [ 'instance-prototype', 'statics-not-linked' ]
+
+function SharedCat() {}
+SharedCat.prototype = Animal.prototype
+console.log(checkInheritance(SharedCat).map(({ message }) => message))
+// [
+//   'SharedCat.prototype is Animal.prototype: methods added to SharedCat are added to every Animal',
+//   'SharedCat.prototype.constructor is Animal, not SharedCat'
+// ]
+
+/*
+inherits does the wiring in one call: Object.create, a non-enumerable
+constructor and linked statics. Kitten is wired in place, so its own
+new.target check makes it work without new.
+*/
+function Kitten(name) {
+  if (!new.target) {
+    return new Kitten(name)
+  }
+  Animal.call(this)
+  this.name = name
+}
+
+inherits(Kitten, Animal, {
+  statics: {
+    adopt(name) {
+      return new this(name)
+    },
+  },
+})
+
+Kitten.prototype.meow = function () {
+  console.log(`My name is ${this.name} I do Meow`)
+}
+
+const tom = Kitten('Tom') // no new needed
+tom.walk() // Tom walks
+tom.meow() // My name is Tom I do Meow
+console.log(tom instanceof Animal, tom.constructor === Kitten) // true true
+console.log(Kitten.adopt('Jerry').name) // Jerry
+console.log(Object.keys(Kitten.prototype)) // [ 'meow' ]
+console.log(checkInheritance(Kitten, Animal, { probe: true })) // []
+
+// data Animal doesn't set, like a constant shared on purpose, is fine
+Kitten.prototype.sound = 'meow'
+console.log(checkInheritance(Kitten, Animal, { probe: true })) // []
+
+// a class's prototype can't be replaced, so inherits relinks it instead
+class Puppy {
+  bark() {
+    console.log(`${this.name} barks`)
+  }
+}
+inherits(Puppy, Animal)
+
+const rex = Object.assign(new Puppy(), { name: 'Rex' })
+rex.walk() // Rex walks
+console.log(rex instanceof Animal) // true
+console.log(checkInheritance(Puppy, Animal)) // []
@@ -0,0 +1,53 @@
+/*
+ * Object.assign copies values, not properties: getters are called once and
+ * their result is copied, and non-enumerable properties are skipped.
+ * assignDescriptors copies the full property descriptors instead, so
+ * getters/setters stay live and symbols come along too.
+ *
+ * Options (see createAssignDescriptors):
+ * - nonEnumerable: also copy non-enumerable properties (default false)
+ *  */
+
+/*
+ * super inside a concise method is resolved from the object literal the
+ * method was written in (its "home object"), and JavaScript has no way to
+ * change that binding, so assignDescriptors leaves it alone: a copied
+ * method still calls super on the prototype of the literal it came from.
+ *
+ * A mixin that needs super on the target has to opt in. rebindSuper(target,
+ * factory) calls factory(target) for a fresh object literal and links that
+ * literal to target's prototype before its methods are copied. Every call
+ * gets its own home object, linked once, so no shared object is relinked
+ * while a method runs and super keeps working after an await.
+ *
+ *   assignDescriptors(Dog, rebindSuper(Dog, () => ({
+ *     describe() { return super.describe().toUpperCase() },
+ *   })))
+ *  */
+function rebindSuper(target, factory) {
+  return Object.setPrototypeOf(factory(target), Object.getPrototypeOf(target))
+}
+
+function createAssignDescriptors({ nonEnumerable = false } = {}) {
+  return function assignDescriptors(target, ...sources) {
+    for (const source of sources) {
+      if (source === null || source === undefined) {
+        continue
+      }
+      const descriptors = Object.getOwnPropertyDescriptors(source)
+
+      for (const key of Reflect.ownKeys(descriptors)) {
+        const descriptor = descriptors[key]
+        if (!descriptor.enumerable && !nonEnumerable) {
+          continue
+        }
+        Object.defineProperty(target, key, descriptor)
+      }
+    }
+    return target
+  }
+}
+
+const assignDescriptors = createAssignDescriptors()
+
+module.exports = { assignDescriptors, createAssignDescriptors, rebindSuper }
@@ -0,0 +1,193 @@
+/*
+ * A small dependency injection container, for explicit association without
+ * hard-coding the associated object. Instead of pointing at
+ * UpperCaseFormatterE itself, like FooE does, FooDI declares the names of
+ * what it needs and the container hands it whatever is registered under
+ * those names:
+ *
+ *   const FooDI = {
+ *     dependencies: ['formatter'],
+ *     saySomething(msg) { console.log(this.formatter.format(msg)) },
+ *   }
+ *
+ *   const container = createContainer()
+ *   container.value('formatter', UpperCaseFormatterE)
+ *   container.create(FooDI).saySomething('hello') // HELLO
+ *
+ * - register(name, factory, { scope, dependencies }) registers a factory,
+ *   called with an object holding the dependencies it names. A 'singleton'
+ *   (the default) is built once, on first use; a 'transient' is built anew
+ *   every time it is needed. Registering a name again rebuilds the
+ *   singletons that depend on it, as an override does.
+ * - value(name, value) registers something that already exists.
+ * - resolve(name) returns the implementation registered under name.
+ * - create(proto, ...args) links a new object to proto (like
+ *   Object.create), gives it the dependencies proto lists in
+ *   `dependencies` as own properties and, when proto has an init method,
+ *   calls it with args, OLOO style.
+ *
+ * A dependency that isn't registered, or one that ends up depending on
+ * itself, throws an Error naming the path that led to it.
+ *
+ * override(name, value) replaces name with value (a mock, in a test) until
+ * the returned handle's remove() is called; withOverrides(overrides, fn)
+ * does the same for the duration of fn, like withMixin. Singletons that
+ * depend on name, directly or through other dependencies, are rebuilt
+ * after an override is added or removed, so none of them keeps holding on
+ * to the mock, or to what the mock replaced. The others are kept.
+ *  */
+
+const scopes = ['singleton', 'transient']
+
+function createContainer() {
+  const providers = new Map()
+  const singletons = new Map()
+  const overrides = []
+  // names being resolved right now, to notice cycles
+  const resolving = []
+
+  function register(
+    name,
+    factory,
+    { scope = 'singleton', dependencies = [] } = {},
+  ) {
+    if (typeof factory !== 'function') {
+      throw new TypeError(`Factory for '${name}' must be a function`)
+    }
+    if (!scopes.includes(scope)) {
+      throw new TypeError(`Unknown scope '${scope}' for '${name}'`)
+    }
+    providers.set(name, { factory, scope, dependencies: [...dependencies] })
+    // like an override, so nothing built from the old one is kept
+    evict(name)
+    return container
+  }
+
+  function value(name, implementation) {
+    return register(name, () => implementation)
+  }
+
+  function resolveAll(names) {
+    return Object.fromEntries(names.map((name) => [name, resolve(name)]))
+  }
+
+  function resolve(name) {
+    const override = overrides.findLast((entry) => entry.name === name)
+    if (override) {
+      return override.value
+    }
+    if (singletons.has(name)) {
+      return singletons.get(name)
+    }
+
+    const path = [...resolving, name].join(' -> ')
+    if (resolving.includes(name)) {
+      throw new Error(`Circular dependency: ${path}`)
+    }
+    const provider = providers.get(name)
+    if (!provider) {
+      throw new Error(
+        resolving.length > 0
+          ? `Unknown dependency '${name}' (${path})`
+          : `Unknown dependency '${name}'`,
+      )
+    }
+
+    resolving.push(name)
+    try {
+      const instance = provider.factory(resolveAll(provider.dependencies))
+      if (provider.scope === 'singleton') {
+        singletons.set(name, instance)
+      }
+      return instance
+    } finally {
+      resolving.pop()
+    }
+  }
+
+  // name and every registered name that depends on it, directly or not
+  function dependentsOf(name) {
+    const found = new Set([name])
+    let grew = true
+    while (grew) {
+      grew = false
+      for (const [other, { dependencies }] of providers) {
+        if (!found.has(other) && dependencies.some((dep) => found.has(dep))) {
+          found.add(other)
+          grew = true
+        }
+      }
+    }
+    return found
+  }
+
+  function evict(name) {
+    for (const dependent of dependentsOf(name)) {
+      singletons.delete(dependent)
+    }
+  }
+
+  function create(proto, ...args) {
+    const obj = Object.assign(
+      Object.create(proto),
+      resolveAll(proto.dependencies ?? []),
+    )
+    return typeof obj.init === 'function' ? obj.init(...args) : obj
+  }
+
+  function override(name, implementation) {
+    const entry = { name, value: implementation }
+    overrides.push(entry)
+    evict(name)
+
+    const handle = {
+      name,
+      removed: false,
+      remove() {
+        if (!handle.removed) {
+          overrides.splice(overrides.indexOf(entry), 1)
+          evict(name)
+          handle.removed = true
+        }
+        return container
+      },
+    }
+    return handle
+  }
+
+  /*
+   * Overrides every name in overrides, calls fn(container) and removes
+   * them again, even when fn throws. When fn returns a promise they stay
+   * until it settles.
+   *  */
+  function withOverrides(replacements, fn) {
+    const handles = Object.entries(replacements).map(([name, value]) =>
+      override(name, value),
+    )
+    const removeAll = () => handles.forEach((handle) => handle.remove())
+    let result
+    try {
+      result = fn(container)
+    } catch (e) {
+      removeAll()
+      throw e
+    }
+    if (typeof result?.then === 'function') {
+      return Promise.resolve(result).finally(removeAll)
+    }
+    removeAll()
+    return result
+  }
+
+  const container = {
+    register,
+    value,
+    resolve,
+    create,
+    override,
+    withOverrides,
+  }
+  return container
+}
+
+module.exports = { createContainer }
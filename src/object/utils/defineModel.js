@@ -0,0 +1,198 @@
+const { inspect } = require('node:util')
+const { types: builtinTypes, article } = require('./types')
+
+/*
+ * defineModel(proto, fields) turns field specs into accessor properties on
+ * proto, so every object linked to proto validates what is assigned to it:
+ *
+ *   defineModel(Transaction.prototype, {
+ *     sender: { type: 'email', nullable: true },
+ *     funds: { type: 'number', min: 0, default: 0 },
+ *     total: { computed() { return this.funds + this.fee } },
+ *   })
+ *
+ * A spec can have:
+ * - type: one of the names in `types` (see types.js), or one added with
+ *   registerType
+ * - min / max: bounds for numbers, or for the length of strings
+ * - nullable: also accept null
+ * - readonly: the first assignment sets the field, later ones throw
+ * - default: returned until the field is set; a function is called with the
+ *   object as this the first time the field is read
+ * - computed: a getter; the field can't be assigned at all
+ *
+ * A bad assignment throws a TypeError naming the model, the field, what it
+ * expected and what it got. The model is named after proto's constructor,
+ * or by defineModel(proto, fields, { name }) for OLOO objects.
+ *
+ * Values are kept in non-enumerable, symbol-keyed own properties, which is
+ * why defineModel also gives proto a toJSON (unless it already has one)
+ * that puts the fields back into JSON.stringify's output, and a
+ * util.inspect.custom method so console.log shows them as well.
+ *  */
+
+// a copy, so types registered here don't leak into mergeConfig
+const types = { ...builtinTypes }
+
+function registerType(name, predicate) {
+  if (typeof predicate !== 'function') {
+    throw new TypeError(`Model type '${name}' must be a function`)
+  }
+  types[name] = predicate
+}
+
+const specKeys = ['type', 'min', 'max', 'nullable', 'readonly', 'default']
+
+function describe(value) {
+  return inspect(value, { depth: 0, breakLength: Infinity })
+}
+
+function checkSpec(model, key, spec) {
+  if (typeof spec.computed === 'function') {
+    const extra = Object.keys(spec).filter((name) => name !== 'computed')
+    if (extra.length > 0) {
+      throw new TypeError(
+        `${model}.${key} is computed and cannot also have ${extra.join(', ')}`,
+      )
+    }
+    return
+  }
+  const unknown = Object.keys(spec).filter((name) => !specKeys.includes(name))
+  if (unknown.length > 0) {
+    throw new TypeError(
+      `${model}.${key} has unknown spec options: ${unknown.join(', ')}`,
+    )
+  }
+  if (!Object.hasOwn(types, spec.type ?? 'any')) {
+    throw new TypeError(`${model}.${key} has unknown type '${spec.type}'`)
+  }
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    throw new TypeError(`${model}.${key} has min greater than max`)
+  }
+}
+
+function validator(model, key, { type = 'any', min, max, nullable = false }) {
+  const size = (value) => (typeof value === 'string' ? value.length : value)
+  const unit = type === 'string' || type === 'email' ? ' characters' : ''
+
+  return function validate(value) {
+    if (value === null && nullable) {
+      return value
+    }
+    if (value === null || !types[type](value)) {
+      throw new TypeError(
+        `${model}.${key} must be ${article(type)}${nullable ? ' or null' : ''}, got ${describe(value)}`,
+      )
+    }
+    if (min !== undefined && size(value) < min) {
+      throw new TypeError(
+        `${model}.${key} must be at least ${min}${unit}, got ${describe(value)}`,
+      )
+    }
+    if (max !== undefined && size(value) > max) {
+      throw new TypeError(
+        `${model}.${key} must be at most ${max}${unit}, got ${describe(value)}`,
+      )
+    }
+    return value
+  }
+}
+
+function field(model, key, spec) {
+  if (typeof spec.computed === 'function') {
+    const { computed } = spec
+    return {
+      get() {
+        return computed.call(this)
+      },
+      set(value) {
+        throw new TypeError(`${model}.${key} is computed and cannot be set`)
+      },
+      enumerable: false,
+      configurable: true,
+    }
+  }
+
+  const slot = Symbol(key)
+  const validate = validator(model, key, spec)
+  const store = (obj, value) =>
+    Object.defineProperty(obj, slot, {
+      value,
+      writable: true,
+      configurable: true,
+    })
+
+  if (spec.default !== undefined && typeof spec.default !== 'function') {
+    validate(spec.default)
+  }
+
+  return {
+    get() {
+      if (Object.hasOwn(this, slot)) {
+        return this[slot]
+      }
+      if (typeof spec.default === 'function') {
+        store(this, validate(spec.default.call(this)))
+        return this[slot]
+      }
+      return spec.default
+    },
+    set(value) {
+      if (spec.readonly && Object.hasOwn(this, slot)) {
+        throw new TypeError(`${model}.${key} is read-only`)
+      }
+      store(this, validate(value))
+    },
+    enumerable: false,
+    configurable: true,
+  }
+}
+
+function defineModel(proto, fields, { name } = {}) {
+  if (proto === null || typeof proto !== 'object') {
+    throw new TypeError('defineModel expects a prototype object')
+  }
+  const model =
+    name ??
+    (Object.hasOwn(proto, 'constructor') ? proto.constructor.name : 'model')
+  const stored = []
+
+  for (const [key, spec] of Object.entries(fields)) {
+    checkSpec(model, key, spec)
+    Object.defineProperty(proto, key, field(model, key, spec))
+    if (typeof spec.computed !== 'function') {
+      stored.push(key)
+    }
+  }
+
+  if (!Object.hasOwn(proto, 'toJSON')) {
+    Object.defineProperty(proto, 'toJSON', {
+      value: function toJSON() {
+        const json = { ...this }
+        for (const key of stored) {
+          if (this[key] !== undefined) {
+            json[key] = this[key]
+          }
+        }
+        return json
+      },
+      writable: true,
+      configurable: true,
+    })
+  }
+
+  // console.log shows the fields too, not just the own properties
+  if (!Object.hasOwn(proto, inspect.custom)) {
+    Object.defineProperty(proto, inspect.custom, {
+      value: function (depth, options, inspect) {
+        return `${model} ${inspect(this.toJSON(), options)}`
+      },
+      writable: true,
+      configurable: true,
+    })
+  }
+
+  return proto
+}
+
+module.exports = { defineModel, registerType }
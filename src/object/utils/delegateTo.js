@@ -0,0 +1,167 @@
+/*
+ * Object.create links an object to a single peer. delegateTo(obj, peers)
+ * returns a Proxy for obj that delegates to several of them: a property
+ * obj doesn't have is looked up on each peer (and that peer's own chain)
+ * in turn, so one object can be both a formatter and a logger without
+ * copying their methods onto it.
+ *
+ *   const Foo = delegateTo({ saySomething }, [UpperCaseFormatter, Logger])
+ *   Foo.format('hi') // found on UpperCaseFormatter
+ *   Foo.log('hi') // found on Logger
+ *
+ * Lookups stay live: a method added to a peer later is visible at once.
+ * Methods and getters found on a peer run with the proxy as this, so they
+ * can use each other. Writes, definitions and deletes go to obj, never to
+ * a peer. What Object.prototype provides (toString, hasOwnProperty, ...)
+ * doesn't count as a peer having the property.
+ *
+ * Options:
+ * - order: 'first' (the default) lets the first peer that has a property
+ *   win, 'last' lets the last one win, like Object.assign would
+ * - prefer: { key: peer } settles a lookup explicitly, whatever the order
+ * - names: { name: peer } labels peers in reports, like inspectChain
+ * - onAmbiguous: called once per key when two peers provide different
+ *   properties for it and prefer doesn't say which one to use, with
+ *   { key, peers, chosen } (peer labels). Logs a warning by default.
+ *
+ * `in` and for...in see the peers' properties too. for...in only lists own
+ * keys and the keys of the object's real prototype chain, so the proxy
+ * reports the peers' properties as its own (configurable) ones; Object.keys
+ * and hasOwnProperty see them as well. That is only allowed while obj is
+ * extensible, so frozen or sealed objects are refused.
+ *  */
+
+const { keyName } = require('./types')
+
+const orders = ['first', 'last']
+
+const registry = new WeakMap()
+
+function warn({ key, peers, chosen }) {
+  console.warn(
+    `Ambiguous lookup of '${keyName(key)}': ${peers.join(', ')} all provide it, using ${chosen}`,
+  )
+}
+
+// the object on peer's chain that holds key, leaving out Object.prototype
+function holderOf(peer, key) {
+  for (
+    let current = peer;
+    current !== null && current !== Object.prototype;
+    current = Object.getPrototypeOf(current)
+  ) {
+    if (Object.hasOwn(current, key)) {
+      return current
+    }
+  }
+  return null
+}
+
+// keys of peer and of its chain, leaving out Object.prototype
+function keysOf(peer) {
+  const keys = []
+  for (
+    let current = peer;
+    current !== null && current !== Object.prototype;
+    current = Object.getPrototypeOf(current)
+  ) {
+    keys.push(...Reflect.ownKeys(current))
+  }
+  return keys
+}
+
+function delegateTo(
+  obj,
+  peers,
+  { order = 'first', prefer = {}, names = {}, onAmbiguous = warn } = {},
+) {
+  if (!orders.includes(order)) {
+    throw new TypeError(`Unknown delegation order '${order}'`)
+  }
+  if (!Object.isExtensible(obj)) {
+    throw new TypeError('Cannot delegate from an object that is not extensible')
+  }
+  for (const [key, peer] of Object.entries(prefer)) {
+    if (!peers.includes(peer)) {
+      throw new TypeError(`Preferred delegate for '${key}' is not a peer`)
+    }
+  }
+
+  const ordered = order === 'first' ? [...peers] : [...peers].reverse()
+  const labelOf = (peer) =>
+    Object.keys(names).find((name) => names[name] === peer) ??
+    `peer #${peers.indexOf(peer) + 1}`
+  const reported = new Set()
+
+  // the peer a lookup of key resolves to, or null when none has it
+  function resolve(key) {
+    const candidates = ordered.filter((peer) => holderOf(peer, key) !== null)
+    if (candidates.length === 0) {
+      return null
+    }
+    if (Object.hasOwn(prefer, key) && candidates.includes(prefer[key])) {
+      return prefer[key]
+    }
+    // two peers sharing the same prototype aren't ambiguous
+    const holders = new Set(candidates.map((peer) => holderOf(peer, key)))
+    if (holders.size > 1 && !reported.has(key)) {
+      reported.add(key)
+      onAmbiguous({
+        key,
+        peers: candidates.map(labelOf),
+        chosen: labelOf(candidates[0]),
+      })
+    }
+    return candidates[0]
+  }
+
+  // obj's own chain wins, like an own property shadows a prototype's
+  const ownsKey = (target, key) => holderOf(target, key) !== null
+
+  const proxy = new Proxy(obj, {
+    get(target, key, receiver) {
+      if (ownsKey(target, key)) {
+        return Reflect.get(target, key, receiver)
+      }
+      const peer = resolve(key)
+      return peer
+        ? Reflect.get(peer, key, receiver)
+        : Reflect.get(target, key, receiver)
+    },
+
+    has(target, key) {
+      return Reflect.has(target, key) || peers.some((peer) => key in peer)
+    },
+
+    ownKeys(target) {
+      return [
+        ...new Set([...Reflect.ownKeys(target), ...ordered.flatMap(keysOf)]),
+      ]
+    },
+
+    getOwnPropertyDescriptor(target, key) {
+      if (Object.hasOwn(target, key)) {
+        return Reflect.getOwnPropertyDescriptor(target, key)
+      }
+      const peer = ownsKey(target, key) ? null : resolve(key)
+      if (!peer) {
+        return undefined
+      }
+      const descriptor = Reflect.getOwnPropertyDescriptor(
+        holderOf(peer, key),
+        key,
+      )
+      // it isn't really obj's, so it must stay configurable
+      return { ...descriptor, configurable: true }
+    },
+  })
+  registry.set(proxy, [...peers])
+  return proxy
+}
+
+// the peers a proxy from delegateTo delegates to, in the order given
+function delegatesOf(proxy) {
+  return [...(registry.get(proxy) ?? [])]
+}
+
+module.exports = { delegateTo, delegatesOf }
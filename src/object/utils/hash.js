@@ -0,0 +1,46 @@
+const { createHash } = require('node:crypto')
+
+/*
+ * The 32-bit string hash used throughout the examples. It is kept only so
+ * existing outputs (e.g. 237572532174000400 for luis -> luke) stay the same:
+ * it collides easily, and hash ** 2 loses precision once it passes 2^53.
+ *  */
+function legacy(data) {
+  let hash = 0,
+    i = 0
+  while (i < data.length) {
+    hash = ((hash << 5) - hash + data.charCodeAt(i++)) << 0
+  }
+  return hash ** 2
+}
+
+// SHA-256 from node:crypto, as a hex string
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex')
+}
+
+const algorithms = new Map([
+  ['legacy', legacy],
+  ['sha256', sha256],
+])
+
+/*
+ * Makes a new algorithm available to hash() and HasHash by name. The
+ * function receives the string to hash and returns the digest.
+ *  */
+function registerAlgorithm(name, fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError(`Hash algorithm '${name}' must be a function`)
+  }
+  algorithms.set(name, fn)
+}
+
+function hash(data, { algorithm = 'legacy' } = {}) {
+  const fn = algorithms.get(algorithm)
+  if (!fn) {
+    throw new TypeError(`Unknown hash algorithm '${algorithm}'`)
+  }
+  return fn(String(data))
+}
+
+module.exports = { hash, registerAlgorithm, legacy, sha256 }
@@ -0,0 +1,98 @@
+/*
+ * Object.freeze is shallow and fails silently outside strict mode, so a
+ * frozen transaction can still have its nested data changed, and a sloppy
+ * `tx.funds = 999` just does nothing without telling anyone.
+ *
+ * - deepFreeze(obj) freezes obj and every object reachable from its own
+ *   data properties. Prototypes are left alone.
+ * - seal(obj) deep-freezes obj and wraps it in a Proxy that reports every
+ *   attempt to set, define or delete a property, or to relink it, through
+ *   onMutation (console.warn by default). The traps then refuse the change,
+ *   which is a TypeError in strict mode code and ignored otherwise.
+ * - lockProperty(obj, key) turns obj[key] into a getter for its current
+ *   value that can't be reconfigured. Assigning to it is reported through
+ *   onMutation, like a write to a sealed object, and leaves it unchanged.
+ * - withChanges(obj, changes) returns a sealed copy of obj, linked to the
+ *   same prototype, with changes applied through normal assignment (so
+ *   setters, like the ones from defineModel, still validate them) and
+ *   keys like __proto__ refused (see safeMerge.js). Every value that didn't
+ *   change is shared with obj rather than copied, which is safe because it
+ *   is frozen.
+ *  */
+
+const { safeAssign } = require('./safeMerge')
+
+const sealed = new WeakSet()
+
+const isObject = (value) =>
+  value !== null && (typeof value === 'object' || typeof value === 'function')
+
+function deepFreeze(obj) {
+  // typed arrays (and Buffers) can't be frozen while they have elements
+  if (!isObject(obj) || Object.isFrozen(obj) || ArrayBuffer.isView(obj)) {
+    return obj
+  }
+  Object.freeze(obj)
+  for (const key of Reflect.ownKeys(obj)) {
+    const { value } = Object.getOwnPropertyDescriptor(obj, key)
+    if (typeof value === 'object') {
+      deepFreeze(value)
+    }
+  }
+  return obj
+}
+
+function warn(message) {
+  console.warn(message)
+}
+
+function seal(obj, { onMutation = warn } = {}) {
+  if (!isObject(obj) || sealed.has(obj)) {
+    return obj
+  }
+  deepFreeze(obj)
+  const name = obj.constructor?.name || 'object'
+  const refuse = (action) => {
+    onMutation(`Cannot ${action}: this ${name} is sealed`)
+    return false
+  }
+
+  const proxy = new Proxy(obj, {
+    set: (target, key) => refuse(`set ${String(key)}`),
+    defineProperty: (target, key) => refuse(`define ${String(key)}`),
+    deleteProperty: (target, key) => refuse(`delete ${String(key)}`),
+    setPrototypeOf: () => refuse('change its prototype'),
+  })
+  sealed.add(proxy)
+  return proxy
+}
+
+function isSealed(obj) {
+  return sealed.has(obj)
+}
+
+function lockProperty(obj, key, { onMutation = warn } = {}) {
+  const { value, enumerable } = Object.getOwnPropertyDescriptor(obj, key)
+  return Object.defineProperty(obj, key, {
+    get: () => value,
+    set: () => onMutation(`Cannot set ${String(key)}: it is locked`),
+    enumerable,
+    configurable: false,
+  })
+}
+
+function withChanges(obj, changes = {}) {
+  const descriptors = Object.getOwnPropertyDescriptors(obj)
+  for (const key of Reflect.ownKeys(descriptors)) {
+    const descriptor = descriptors[key]
+    descriptor.configurable = true
+    if ('value' in descriptor) {
+      descriptor.writable = true
+    }
+  }
+  const copy = Object.create(Object.getPrototypeOf(obj), descriptors)
+  safeAssign(copy, changes)
+  return seal(copy)
+}
+
+module.exports = { deepFreeze, seal, isSealed, lockProperty, withChanges }
@@ -0,0 +1,148 @@
+const { assignDescriptors } = require('./assignDescriptors')
+
+const nameOf = (fn) => fn.name || '(anonymous)'
+
+/*
+ * inherits(Child, Parent, { statics }) does the prototype wiring from
+ * contructorFunctions-2.js in one call, without the usual mistakes:
+ *
+ * - Child.prototype is a new object created with
+ *   Object.create(Parent.prototype), never Parent.prototype itself (which
+ *   would add Child's methods to every Parent) and never new Parent()
+ *   (which would share one Parent's instance state between all children).
+ *   Methods already added to the old Child.prototype are moved over. A
+ *   class's prototype can't be replaced, so it is relinked to
+ *   Parent.prototype instead.
+ * - constructor is defined as non-enumerable, like the one JavaScript
+ *   creates for every function.
+ * - Child is linked to Parent, so statics are inherited like with extends,
+ *   and the statics given in the options are copied onto Child.
+ *
+ * Child is wired in place and returned as it is, so inherits can be called
+ * as a statement (like util.inherits) and new Child().constructor is
+ * Child. A constructor that should also work without new checks new.target
+ * itself, like HashTransaction: the instance it creates with new is linked
+ * to the wired prototype like any other.
+ *
+ *   inherits(HashTransaction, Transaction, { statics: { create } })
+ *  */
+function inherits(Child, Parent, { statics = {} } = {}) {
+  if (typeof Child !== 'function' || typeof Parent !== 'function') {
+    throw new TypeError('inherits expects two constructor functions')
+  }
+  if (Parent === Child) {
+    throw new TypeError(`${nameOf(Child)} cannot inherit from itself`)
+  }
+
+  const previous = Child.prototype
+  if (Object.getOwnPropertyDescriptor(Child, 'prototype').writable) {
+    Child.prototype = Object.create(Parent.prototype, {
+      ...Object.getOwnPropertyDescriptors(previous),
+      constructor: {
+        value: Child,
+        enumerable: false,
+        writable: true,
+        configurable: true,
+      },
+    })
+  } else {
+    // assigning would silently do nothing outside strict mode
+    Object.setPrototypeOf(previous, Parent.prototype)
+  }
+  Object.setPrototypeOf(Child, Parent)
+  assignDescriptors(Child, statics)
+  return Child
+}
+
+// the keys Parent sets on a new instance, none if it needs arguments to run
+function instanceKeys(Parent) {
+  try {
+    return Object.keys(Reflect.construct(Parent, []))
+  } catch (e) {
+    return []
+  }
+}
+
+/*
+ * checkInheritance(Child, Parent, { probe }) reports the mistakes inherits
+ * avoids, as a list of { rule, message } (empty when everything is fine).
+ * Parent is optional; without it only Child's own prototype can be checked.
+ *
+ * - shared-prototype: Child.prototype is Parent.prototype itself
+ * - instance-prototype: Child.prototype is linked to Parent.prototype and
+ *   holds the properties Parent sets on its instances, a sign that it was
+ *   created with new Parent(). Finding out which properties those are means
+ *   calling Parent once, without arguments, so this rule only runs when
+ *   probe is true and Parent is safe to call. Other data on the prototype,
+ *   like a constant shared on purpose, is fine.
+ * - wrong-constructor: Child.prototype.constructor isn't Child
+ * - enumerable-constructor: constructor shows up in for...in
+ * - not-linked: Child.prototype isn't linked to Parent.prototype
+ * - statics-not-linked: Child isn't linked to Parent, so statics defined on
+ *   Parent can't be reached from Child
+ *  */
+function checkInheritance(Child, Parent, { probe = false } = {}) {
+  if (typeof Child !== 'function') {
+    throw new TypeError('checkInheritance expects a constructor function')
+  }
+  const problems = []
+  const report = (rule, message) => problems.push({ rule, message })
+  const child = nameOf(Child)
+  const proto = Child.prototype
+
+  const owner = [Parent, proto.constructor].find(
+    (fn) => typeof fn === 'function' && fn !== Child && fn.prototype === proto,
+  )
+  if (owner) {
+    report(
+      'shared-prototype',
+      `${child}.prototype is ${nameOf(owner)}.prototype: methods added to ${child} are added to every ${nameOf(owner)}`,
+    )
+  }
+
+  const base = Object.getPrototypeOf(proto)
+  const maker = typeof Parent === 'function' ? Parent : base?.constructor
+  if (probe && typeof maker === 'function' && base === maker.prototype) {
+    const state = instanceKeys(maker)
+    if (state.length > 0 && state.every((key) => Object.hasOwn(proto, key))) {
+      const parent = nameOf(maker)
+      report(
+        'instance-prototype',
+        `${child}.prototype has ${parent}'s instance state (${state.join(', ')}): use Object.create(${parent}.prototype) instead of new ${parent}()`,
+      )
+    }
+  }
+
+  const constructor = Object.getOwnPropertyDescriptor(proto, 'constructor')
+  if (!constructor || constructor.value !== Child) {
+    const actual = proto.constructor
+    report(
+      'wrong-constructor',
+      `${child}.prototype.constructor is ${typeof actual === 'function' ? nameOf(actual) : actual}, not ${child}`,
+    )
+  } else if (constructor.enumerable) {
+    report(
+      'enumerable-constructor',
+      `${child}.prototype.constructor is enumerable and shows up in for...in`,
+    )
+  }
+
+  if (typeof Parent === 'function' && !owner) {
+    if (!Parent.prototype.isPrototypeOf(proto)) {
+      report(
+        'not-linked',
+        `${child}.prototype is not linked to ${nameOf(Parent)}.prototype, so ${nameOf(Parent)}'s methods can't be found`,
+      )
+    }
+    if (Object.getPrototypeOf(Child) !== Parent) {
+      report(
+        'statics-not-linked',
+        `${child} is not linked to ${nameOf(Parent)}, so ${nameOf(Parent)}'s statics can't be found`,
+      )
+    }
+  }
+
+  return problems
+}
+
+module.exports = { inherits, checkInheritance }
@@ -0,0 +1,215 @@
+const { inspect } = require('node:util')
+
+/*
+ * inspectChain(obj) walks the prototype chain of obj, from obj itself up to
+ * null, and describes every link:
+ *
+ *   {
+ *     links: [
+ *       { depth, label, object, builtin, properties: [
+ *           { key, kind, descriptor, shadows, shadowedBy }
+ *       ] },
+ *       ...
+ *       { depth, label: 'null', object: null, builtin: true, properties: [] },
+ *     ],
+ *     methods: { displayTransaction: 'TransactionC.prototype', ... },
+ *   }
+ *
+ * kind is 'method', 'accessor' or 'data'. shadows names the link further
+ * up that has the same key (and is hidden by this one), shadowedBy the
+ * link further down that hides it. methods says which link every method
+ * call on obj resolves to.
+ *
+ * OLOO objects like Blockchain have no constructor to name them by, so
+ * they can be named explicitly: inspectChain(chain, { names: { MyStore } })
+ *
+ * renderTree and renderDot turn the result into text or Graphviz DOT.
+ *  */
+
+const builtins = new Map([
+  [Object.prototype, 'Object.prototype'],
+  [Function.prototype, 'Function.prototype'],
+  [Array.prototype, 'Array.prototype'],
+])
+
+function labelOf(obj, depth, names) {
+  for (const [name, value] of Object.entries(names)) {
+    if (value === obj) {
+      return name
+    }
+  }
+  if (builtins.has(obj)) {
+    return builtins.get(obj)
+  }
+  if (typeof obj === 'function') {
+    return `function ${obj.name || '(anonymous)'}`
+  }
+  const ctor = Object.getOwnPropertyDescriptor(obj, 'constructor')?.value
+  if (typeof ctor === 'function' && ctor.prototype === obj) {
+    return `${ctor.name}.prototype`
+  }
+  if (depth === 0 && typeof obj.constructor === 'function') {
+    return `${obj.constructor.name} instance`
+  }
+  return `(anonymous object at depth ${depth})`
+}
+
+function kindOf(descriptor) {
+  if (descriptor.get || descriptor.set) {
+    return 'accessor'
+  }
+  return typeof descriptor.value === 'function' ? 'method' : 'data'
+}
+
+function inspectChain(obj, { names = {} } = {}) {
+  const links = []
+  for (
+    let current = obj, depth = 0;
+    current !== null;
+    current = Object.getPrototypeOf(current), depth++
+  ) {
+    const properties = Reflect.ownKeys(current).map((key) => {
+      const descriptor = Object.getOwnPropertyDescriptor(current, key)
+      return {
+        key,
+        kind: kindOf(descriptor),
+        descriptor,
+        shadows: null,
+        shadowedBy: null,
+      }
+    })
+    links.push({
+      depth,
+      label: labelOf(current, depth, names),
+      object: current,
+      builtin: builtins.has(current),
+      properties,
+    })
+  }
+  links.push({
+    depth: links.length,
+    label: 'null',
+    object: null,
+    builtin: true,
+    properties: [],
+  })
+
+  // the nearest link holding a key is the one lookups resolve to
+  const resolved = new Map()
+  for (const link of links) {
+    for (const property of link.properties) {
+      const lower = resolved.get(property.key)
+      if (lower) {
+        property.shadowedBy = lower.link.label
+        if (!lower.property.shadows) {
+          lower.property.shadows = link.label
+        }
+      } else {
+        resolved.set(property.key, { link, property })
+      }
+    }
+  }
+
+  const methods = {}
+  for (const [key, { link, property }] of resolved) {
+    if (property.kind === 'method' && typeof key === 'string') {
+      methods[key] = link.label
+    }
+  }
+
+  return { links, methods }
+}
+
+function flags({ enumerable, writable, configurable, get, set }) {
+  return [
+    enumerable ? 'e' : '-',
+    get || set ? '-' : writable ? 'w' : '-',
+    configurable ? 'c' : '-',
+  ].join('')
+}
+
+function describeProperty({ key, kind, descriptor, shadows, shadowedBy }) {
+  const name = typeof key === 'symbol' ? key.toString() : key
+  let text
+  if (kind === 'method') {
+    text = `${name}()`
+  } else if (kind === 'accessor') {
+    text = `${name} [${descriptor.get ? 'get' : ''}${descriptor.get && descriptor.set ? '/' : ''}${descriptor.set ? 'set' : ''}]`
+  } else {
+    text = `${name} = ${inspect(descriptor.value, { depth: 0, breakLength: Infinity })}`
+  }
+  text = `${text} (${flags(descriptor)})`
+  if (shadows) {
+    text += ` shadows ${shadows}`
+  }
+  if (shadowedBy) {
+    text += ` shadowed by ${shadowedBy}`
+  }
+  return text
+}
+
+/*
+ * One line per link, with its own properties indented underneath. Built-in
+ * prototypes like Object.prototype only show how many properties they have,
+ * and only methods that resolve outside of them are listed at the end.
+ *  */
+function renderTree({ links, methods }) {
+  const lines = []
+  for (const link of links) {
+    if (link.object === null) {
+      lines.push(`[${link.depth}] null`)
+    } else if (link.builtin) {
+      lines.push(
+        `[${link.depth}] ${link.label} (${link.properties.length} built-in properties)`,
+      )
+    } else {
+      lines.push(`[${link.depth}] ${link.label}`)
+      link.properties.forEach((property) =>
+        lines.push(`      ${describeProperty(property)}`),
+      )
+    }
+  }
+
+  const own = Object.entries(methods).filter(
+    ([, label]) => ![...builtins.values()].includes(label),
+  )
+  if (own.length > 0) {
+    lines.push('methods:')
+    own.forEach(([key, label]) => lines.push(`  ${key}() -> ${label}`))
+  }
+  return lines.join('\n')
+}
+
+// characters with a meaning inside a Graphviz record label
+function escapeRecord(text) {
+  return text.replace(/[{}|<>"\\]/g, (c) => `\\${c}`)
+}
+
+/*
+ * A Graphviz digraph with one record node per link and [[Prototype]] edges
+ * pointing up the chain: renderDot(inspectChain(txC)) | dot -Tsvg
+ *  */
+function renderDot({ links }) {
+  const lines = [
+    'digraph prototypeChain {',
+    '  rankdir=BT;',
+    '  node [shape=record, fontname="monospace"];',
+  ]
+  for (const link of links) {
+    const rows =
+      link.builtin || link.object === null
+        ? []
+        : link.properties.map((p) => `${escapeRecord(describeProperty(p))}\\l`)
+    const label = [escapeRecord(link.label), ...rows].join('|')
+    lines.push(`  n${link.depth} [label="{${label}}"];`)
+  }
+  for (const link of links.slice(0, -1)) {
+    lines.push(
+      `  n${link.depth} -> n${link.depth + 1} [label="[[Prototype]]"];`,
+    )
+  }
+  lines.push('}')
+  return lines.join('\n')
+}
+
+module.exports = { inspectChain, renderTree, renderDot, labelOf }
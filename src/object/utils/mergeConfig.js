@@ -0,0 +1,176 @@
+const { isUnsafeKey } = require('./safeMerge')
+const { types, isPlainObject, article } = require('./types')
+
+/*
+ * Deep, schema-aware config merging.
+ *
+ * mergeConfig(defaults, ...overrides) merges plain objects recursively, so
+ * overriding server.port keeps server.host instead of dropping it the way
+ * Object.assign does. Overrides set to undefined are skipped. Arrays are
+ * replaced by default; a schema can ask for concat or union per field.
+ *
+ * createMergeConfig({ schema, arrays }) returns a mergeConfig that also
+ * validates the result against a schema:
+ *
+ *   {
+ *     foo: 'string',
+ *     server: { host: 'string', port: 'number' },
+ *     tags: field('array', { items: 'string', merge: 'union' }),
+ *   }
+ *
+ * A type name, or what field(type, options) returns, describes a field;
+ * any other plain object describes a nested config, so a nested config can
+ * have a field called `type` ({ db: { type: 'string' } }). Unknown keys and
+ * values of the wrong type are reported together in a single TypeError.
+ *
+ * Keys that lead to a prototype (__proto__, or constructor/prototype set to
+ * an object, see safeMerge.js) are refused outright.
+ *  */
+
+const arrayStrategies = {
+  replace: (current, incoming) => [...incoming],
+  concat: (current, incoming) => [...current, ...incoming],
+  union: (current, incoming) => [...new Set([...current, ...incoming])],
+}
+
+// marks what field() returns, so it can't be taken for a nested config
+const fieldMarker = Symbol('field')
+
+// a field spec with options, where a type name alone isn't enough
+function field(type, options = {}) {
+  return { ...options, type, [fieldMarker]: true }
+}
+
+function isFieldSpec(spec) {
+  return typeof spec === 'string' || spec?.[fieldMarker] === true
+}
+
+function fieldSpec(spec) {
+  return typeof spec === 'string' ? { type: spec } : spec
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key
+}
+
+function merge(current, incoming, schema, arrays) {
+  const result = { ...current }
+  for (const [key, value] of Object.entries(incoming)) {
+    if (value === undefined) {
+      continue
+    }
+    if (isUnsafeKey(key, value)) {
+      throw new TypeError(`Refusing to merge unsafe config key '${key}'`)
+    }
+    const spec = schema && Object.hasOwn(schema, key) ? schema[key] : undefined
+    const previous = result[key]
+
+    if (Array.isArray(value) && Array.isArray(previous)) {
+      const strategy = (isFieldSpec(spec) && fieldSpec(spec).merge) || arrays
+      result[key] = arrayStrategies[strategy](previous, value)
+    } else if (isPlainObject(value) && isPlainObject(previous)) {
+      result[key] = merge(
+        previous,
+        value,
+        isFieldSpec(spec) ? undefined : spec,
+        arrays,
+      )
+    } else if (isPlainObject(value)) {
+      result[key] = merge({}, value, undefined, arrays)
+    } else if (Array.isArray(value)) {
+      // a copy, so changing the result never changes the defaults
+      result[key] = [...value]
+    } else {
+      result[key] = value
+    }
+  }
+  return result
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null'
+  }
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+// collects every problem instead of stopping at the first one
+function validate(config, schema, path = '', errors = []) {
+  for (const [key, value] of Object.entries(config)) {
+    const keyPath = join(path, key)
+    const spec = Object.hasOwn(schema, key) ? schema[key] : undefined
+
+    if (spec === undefined) {
+      errors.push(`Unknown config key '${keyPath}'`)
+    } else if (!isFieldSpec(spec)) {
+      if (isPlainObject(value)) {
+        validate(value, spec, keyPath, errors)
+      } else {
+        errors.push(`Config key '${keyPath}' must be an object`)
+      }
+    } else {
+      const { type, items } = fieldSpec(spec)
+      if (!types[type](value)) {
+        errors.push(
+          `Config key '${keyPath}' must be ${article(type)}, got ${typeOf(value)}`,
+        )
+      } else if (type === 'array' && items) {
+        value.forEach((item, index) => {
+          if (!types[items](item)) {
+            errors.push(
+              `Config key '${keyPath}[${index}]' must be ${article(items)}, got ${typeOf(item)}`,
+            )
+          }
+        })
+      }
+    }
+  }
+  return errors
+}
+
+// catches typos in the schema itself before any config is merged
+function checkSchema(schema, path = '') {
+  for (const [key, spec] of Object.entries(schema)) {
+    if (!isFieldSpec(spec)) {
+      if (!isPlainObject(spec)) {
+        throw new TypeError(`Invalid schema for '${join(path, key)}'`)
+      }
+      checkSchema(spec, join(path, key))
+      continue
+    }
+    const { type, items, merge: strategy } = fieldSpec(spec)
+    if (!types[type] || (items && !types[items])) {
+      throw new TypeError(`Unknown type in schema for '${join(path, key)}'`)
+    }
+    if (strategy && !arrayStrategies[strategy]) {
+      throw new TypeError(
+        `Unknown array strategy '${strategy}' for '${join(path, key)}'`,
+      )
+    }
+  }
+}
+
+function createMergeConfig({ schema, arrays = 'replace' } = {}) {
+  if (!arrayStrategies[arrays]) {
+    throw new TypeError(`Unknown array strategy '${arrays}'`)
+  }
+  if (schema) {
+    checkSchema(schema)
+  }
+
+  return function mergeConfig(defaults, ...overrides) {
+    const config = overrides.reduce(
+      (current, override) => merge(current, override ?? {}, schema, arrays),
+      merge({}, defaults, schema, arrays),
+    )
+    const errors = schema ? validate(config, schema) : []
+    if (errors.length > 0) {
+      throw new TypeError(`Invalid config:\n  ${errors.join('\n  ')}`)
+    }
+    return config
+  }
+}
+
+const mergeConfig = createMergeConfig()
+
+module.exports = { mergeConfig, createMergeConfig, field }
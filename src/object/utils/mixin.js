@@ -0,0 +1,214 @@
+const { assignDescriptors } = require('./assignDescriptors')
+const { isUnsafeKey } = require('./safeMerge')
+
+/*
+ * Helpers for composing mixins.
+ *
+ * pipe(f, g, h)(x) is h(g(f(x))), compose(f, g, h)(x) is f(g(h(x))): the
+ * usual way to chain functional mixins like flying.
+ *
+ * mix(target, ...mixins) copies mixins onto target like Object.assign
+ * (keeping getters and setters intact, see assignDescriptors), but
+ * notices when two of them (or a mixin and the target) define a method with
+ * the same name instead of silently letting the last one win. Mixins can be
+ * plain objects (sayMixin) or functional mixins (flying), which are called
+ * with an empty object to get their properties.
+ *
+ * applyMixin(target, mixin) does the same for a single mixin but can be
+ * undone: it returns a handle whose remove() puts back exactly the
+ * properties the mixin replaced. withMixin(target, mixin, fn) applies a
+ * mixin only while fn runs.
+ *
+ * Both refuse mixins with keys that lead to a prototype (__proto__, or
+ * constructor/prototype set to an object, see safeMerge.js), so a mixin
+ * built from untrusted input can't relink or reach into shared prototypes.
+ *  */
+
+const pipe =
+  (...fns) =>
+  (x) =>
+    fns.reduce((acc, fn) => fn(acc), x)
+
+const compose =
+  (...fns) =>
+  (x) =>
+    fns.reduceRight((acc, fn) => fn(acc), x)
+
+/*
+ * What to do when a mixin brings a method the target already has:
+ * - throw: refuse to mix (the default)
+ * - override: the mixin's method replaces the existing one
+ * - chain: keep both, calling the existing method first; the result of the
+ *   mixin's method is returned
+ *  */
+const strategies = ['throw', 'override', 'chain']
+
+function chain(existing, incoming) {
+  return function chained(...args) {
+    existing.apply(this, args)
+    return incoming.apply(this, args)
+  }
+}
+
+// methods of source that would replace a method target already has
+function conflicts(target, source) {
+  return Reflect.ownKeys(source).filter((key) => {
+    const { value, enumerable } = Object.getOwnPropertyDescriptor(source, key)
+    const existing = target[key]
+    return (
+      enumerable &&
+      typeof value === 'function' &&
+      typeof existing === 'function' &&
+      existing !== Object.prototype[key]
+    )
+  })
+}
+
+function checkKeys(source, name) {
+  const key = Reflect.ownKeys(source).find((key) =>
+    isUnsafeKey(key, Object.getOwnPropertyDescriptor(source, key).value),
+  )
+  if (key !== undefined) {
+    throw new TypeError(`${name} has unsafe key '${String(key)}'`)
+  }
+}
+
+// every mixin applied to an object, in order
+const applied = new WeakMap()
+
+function appliedMixins(obj) {
+  return [...(applied.get(obj) ?? [])]
+}
+
+// functional mixins are named after their function, object mixins by position
+function mixinName(mixin, position) {
+  return typeof mixin === 'function' && mixin.name
+    ? `Mixin ${mixin.name}`
+    : `Mixin #${position}`
+}
+
+function createMix({ onConflict = 'throw' } = {}) {
+  if (!strategies.includes(onConflict)) {
+    throw new TypeError(`Unknown mixin conflict strategy '${onConflict}'`)
+  }
+
+  return function mix(target, ...mixins) {
+    for (const [index, mixin] of mixins.entries()) {
+      const source = typeof mixin === 'function' ? mixin({}) : mixin
+      checkKeys(source, mixinName(mixin, index + 1))
+      const existing = new Map(
+        conflicts(target, source).map((key) => [key, target[key]]),
+      )
+
+      if (existing.size > 0 && onConflict === 'throw') {
+        const [key] = existing.keys()
+        throw new Error(
+          `${mixinName(mixin, index + 1)} conflicts on method '${String(key)}'`,
+        )
+      }
+
+      // copies getters/setters as they are
+      assignDescriptors(target, source)
+
+      if (onConflict === 'chain') {
+        existing.forEach((method, key) => {
+          target[key] = chain(method, target[key])
+        })
+      }
+      applied.set(target, [...appliedMixins(target), mixin])
+    }
+    return target
+  }
+}
+
+const mix = createMix()
+
+/*
+ * Reversible mixins. Each application remembers, for every key it copies,
+ * the descriptor the target had before (or that it had none). Handles can
+ * be removed in any order: when a later mixin replaced the same key, the
+ * remembered descriptor is handed on to it instead of being restored over
+ * the later mixin's method.
+ *  */
+const layers = new WeakMap()
+
+function applyMixin(target, mixin) {
+  const source = typeof mixin === 'function' ? mixin({}) : mixin
+  checkKeys(source, mixinName(mixin, 1))
+  const keys = Reflect.ownKeys(source).filter(
+    (key) => Object.getOwnPropertyDescriptor(source, key).enumerable,
+  )
+  const previous = new Map(
+    keys.map((key) => [key, Object.getOwnPropertyDescriptor(target, key)]),
+  )
+
+  assignDescriptors(target, source)
+  applied.set(target, [...appliedMixins(target), mixin])
+
+  const stack = layers.get(target) ?? []
+  layers.set(target, stack)
+
+  const handle = {
+    target,
+    mixin,
+    previous,
+    removed: false,
+
+    remove() {
+      if (handle.removed) {
+        return target
+      }
+      const position = stack.indexOf(handle)
+      const later = stack.slice(position + 1)
+      for (const [key, descriptor] of previous) {
+        const next = later.find((layer) => layer.previous.has(key))
+        if (next) {
+          next.previous.set(key, descriptor)
+        } else if (descriptor) {
+          Object.defineProperty(target, key, descriptor)
+        } else {
+          delete target[key]
+        }
+      }
+      stack.splice(position, 1)
+
+      const mixins = appliedMixins(target)
+      mixins.splice(mixins.lastIndexOf(mixin), 1)
+      applied.set(target, mixins)
+      handle.removed = true
+      return target
+    },
+  }
+  stack.push(handle)
+  return handle
+}
+
+/*
+ * Applies mixin, calls fn(target) and removes the mixin again, even when fn
+ * throws. When fn returns a promise the mixin stays until it settles.
+ *  */
+function withMixin(target, mixin, fn) {
+  const handle = applyMixin(target, mixin)
+  let result
+  try {
+    result = fn(target)
+  } catch (e) {
+    handle.remove()
+    throw e
+  }
+  if (typeof result?.then === 'function') {
+    return Promise.resolve(result).finally(() => handle.remove())
+  }
+  handle.remove()
+  return result
+}
+
+module.exports = {
+  pipe,
+  compose,
+  mix,
+  createMix,
+  appliedMixins,
+  applyMixin,
+  withMixin,
+}
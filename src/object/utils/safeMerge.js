@@ -0,0 +1,210 @@
+/*
+ * Merging untrusted objects safely.
+ *
+ * JSON.parse('{"__proto__": {"admin": true}}') returns an object with an
+ * own "__proto__" key. Copied with Object.assign, that key goes through
+ * the __proto__ setter and relinks the target; a naive deep merge walking
+ * target.__proto__ or target.constructor.prototype ends up writing to
+ * Object.prototype itself, and from then on every object has `admin`.
+ *
+ * safeAssign(target, ...sources) works like Object.assign and
+ * safeMerge(...sources) like a deep merge into a new object, but both
+ * refuse the keys that lead to a prototype: __proto__ always, constructor
+ * and prototype when their value is an object. safeMerge checks every
+ * nested object, including the ones inside arrays. createSafeAssign and
+ * createSafeMerge take options:
+ *
+ * - onUnsafeKey: 'throw' (the default) or 'skip'
+ * - nullPrototype (safeMerge only): build the result, and every nested
+ *   object, with Object.create(null), so there is no prototype to reach
+ *
+ * detectPollution(fn) runs fn and reports anything it added, changed or
+ * removed on Object.prototype (and the other shared prototypes listed
+ * below), undoing it by default.
+ *  */
+
+const { isPlainObject } = require('./types')
+
+const strategies = ['throw', 'skip']
+
+function isUnsafeKey(key, value) {
+  if (key === '__proto__') {
+    return true
+  }
+  return (
+    (key === 'constructor' || key === 'prototype') &&
+    value !== null &&
+    typeof value === 'object'
+  )
+}
+
+// own enumerable entries, symbols included, minus the unsafe ones
+function safeEntries(source, onUnsafeKey, path = '') {
+  return Reflect.ownKeys(source)
+    .filter((key) => Object.getOwnPropertyDescriptor(source, key).enumerable)
+    .map((key) => [key, source[key]])
+    .filter(([key, value]) => {
+      if (!isUnsafeKey(key, value)) {
+        return true
+      }
+      if (onUnsafeKey === 'throw') {
+        throw new TypeError(
+          `Refusing to merge unsafe key '${path}${String(key)}'`,
+        )
+      }
+      return false
+    })
+}
+
+function checkStrategy(onUnsafeKey) {
+  if (!strategies.includes(onUnsafeKey)) {
+    throw new TypeError(`Unknown unsafe key strategy '${onUnsafeKey}'`)
+  }
+}
+
+function createSafeAssign({ onUnsafeKey = 'throw' } = {}) {
+  checkStrategy(onUnsafeKey)
+
+  return function safeAssign(target, ...sources) {
+    for (const source of sources) {
+      if (source === null || source === undefined) {
+        continue
+      }
+      // plain assignment, so setters on target still run
+      for (const [key, value] of safeEntries(source, onUnsafeKey)) {
+        target[key] = value
+      }
+    }
+    return target
+  }
+}
+
+function createSafeMerge({
+  onUnsafeKey = 'throw',
+  nullPrototype = false,
+} = {}) {
+  checkStrategy(onUnsafeKey)
+  const empty = () => (nullPrototype ? Object.create(null) : {})
+
+  // arrays are copied item by item, so objects inside them are checked too
+  function copy(value, path) {
+    if (isPlainObject(value)) {
+      return merge(empty(), value, `${path}.`)
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => copy(item, `${path}[${index}]`))
+    }
+    return value
+  }
+
+  function merge(target, source, path) {
+    for (const [key, value] of safeEntries(source, onUnsafeKey, path)) {
+      const current = Object.hasOwn(target, key) ? target[key] : undefined
+      if (isPlainObject(value) && isPlainObject(current)) {
+        target[key] = merge(current, value, `${path}${String(key)}.`)
+      } else {
+        target[key] = copy(value, `${path}${String(key)}`)
+      }
+    }
+    return target
+  }
+
+  return function safeMerge(...sources) {
+    return sources.reduce(
+      (result, source) => (source ? merge(result, source, '') : result),
+      empty(),
+    )
+  }
+}
+
+const safeAssign = createSafeAssign()
+const safeMerge = createSafeMerge()
+
+// the prototypes every object, array or function delegates to
+const shared = new Map([
+  ['Object.prototype', Object.prototype],
+  ['Array.prototype', Array.prototype],
+  ['Function.prototype', Function.prototype],
+])
+
+function snapshot() {
+  return new Map(
+    [...shared].map(([name, proto]) => [
+      name,
+      Object.getOwnPropertyDescriptors(proto),
+    ]),
+  )
+}
+
+const sameDescriptor = (a, b) =>
+  ['value', 'get', 'set', 'writable', 'enumerable', 'configurable'].every(
+    (field) => Object.is(a[field], b[field]),
+  )
+
+// what changed on the shared prototypes since before, optionally undone
+function compare(before, restore) {
+  const pollution = []
+  for (const [name, proto] of shared) {
+    const previous = before.get(name)
+    const current = Object.getOwnPropertyDescriptors(proto)
+    const keys = new Set([
+      ...Reflect.ownKeys(previous),
+      ...Reflect.ownKeys(current),
+    ])
+
+    for (const key of keys) {
+      // own entries only: the descriptor maps inherit from Object.prototype
+      const was = Object.hasOwn(previous, key) ? previous[key] : undefined
+      const is = Object.hasOwn(current, key) ? current[key] : undefined
+      if (was && is && sameDescriptor(was, is)) {
+        continue
+      }
+      const change = !was ? 'added' : !is ? 'removed' : 'changed'
+      pollution.push({ prototype: name, key: String(key), change })
+
+      if (restore) {
+        if (was) {
+          Object.defineProperty(proto, key, was)
+        } else {
+          delete proto[key]
+        }
+      }
+    }
+  }
+  return pollution
+}
+
+/*
+ * Returns { result, pollution }, pollution being a list of
+ * { prototype, key, change }. When fn returns a promise, so does
+ * detectPollution, once the promise settles.
+ *  */
+function detectPollution(fn, { restore = true } = {}) {
+  const before = snapshot()
+  let result
+  try {
+    result = fn()
+  } catch (e) {
+    compare(before, restore)
+    throw e
+  }
+  if (typeof result?.then === 'function') {
+    return Promise.resolve(result).then(
+      (value) => ({ result: value, pollution: compare(before, restore) }),
+      (e) => {
+        compare(before, restore)
+        throw e
+      },
+    )
+  }
+  return { result, pollution: compare(before, restore) }
+}
+
+module.exports = {
+  safeAssign,
+  safeMerge,
+  createSafeAssign,
+  createSafeMerge,
+  isUnsafeKey,
+  detectPollution,
+}
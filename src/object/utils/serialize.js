@@ -0,0 +1,85 @@
+/*
+ * Canonical serialization for hashing.
+ *
+ * Joining values with '' is ambiguous: 'ab' + 'c' and 'a' + 'bc' both give
+ * 'abc', and 10 and '10' look the same. canonicalize writes every value
+ * with a type tag, and every string-like value with its length, so two
+ * different inputs can never produce the same output:
+ *
+ *   null -> N            undefined -> U          true/false -> T/F
+ *   'abc' -> s3:abc      10 -> n2:10             10n -> i2:10
+ *   Date -> d24:2024-01-01T00:00:00.000Z
+ *   [1, 'a'] -> a2:n1:1s1:a
+ *   { b: 1, a: 2 } -> o2:s1:an1:2s1:bn1:1   (keys sorted)
+ *
+ * Objects are serialized from their own enumerable string keys, sorted, so
+ * key order doesn't matter. Like JSON.stringify, properties holding
+ * undefined are skipped and an object's toJSON method is honoured. A hole
+ * in a sparse array is written as undefined, so [, 1] and [1, ,] differ.
+ *  */
+
+function tagged(tag, text) {
+  return `${tag}${text.length}:${text}`
+}
+
+function canonicalize(value, seen = new Set()) {
+  switch (typeof value) {
+    case 'undefined':
+      return 'U'
+    case 'boolean':
+      return value ? 'T' : 'F'
+    case 'string':
+      return tagged('s', value)
+    case 'number':
+      return tagged('n', Object.is(value, -0) ? '-0' : String(value))
+    case 'bigint':
+      return tagged('i', value.toString())
+    case 'function':
+    case 'symbol':
+      throw new TypeError(`Cannot canonicalize a ${typeof value}`)
+  }
+
+  if (value === null) {
+    return 'N'
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new TypeError('Cannot canonicalize an invalid Date')
+    }
+    return tagged('d', value.toISOString())
+  }
+
+  if (value instanceof Map || value instanceof Set) {
+    throw new TypeError(`Cannot canonicalize a ${value.constructor.name}`)
+  }
+
+  if (seen.has(value)) {
+    throw new TypeError('Cannot canonicalize a circular structure')
+  }
+  seen.add(value)
+
+  try {
+    if (typeof value.toJSON === 'function') {
+      return canonicalize(value.toJSON(), seen)
+    }
+
+    if (Array.isArray(value)) {
+      // map would skip holes and leave them as empty strings
+      const items = Array.from(value, (item) => canonicalize(item, seen))
+      return `a${items.length}:${items.join('')}`
+    }
+
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+    const entries = keys.map(
+      (key) => tagged('s', key) + canonicalize(value[key], seen),
+    )
+    return `o${entries.length}:${entries.join('')}`
+  } finally {
+    seen.delete(value)
+  }
+}
+
+module.exports = { canonicalize }
@@ -0,0 +1,129 @@
+const { labelOf } = require('./inspectChain')
+const { keyName } = require('./types')
+
+/*
+ * traceLookups(obj) wraps obj in a Proxy that records every get, set and
+ * has (the `in` operator) made through it, together with the links of the
+ * prototype chain the engine walks to resolve it:
+ *
+ *   const trace = traceLookups(tx1)
+ *   trace.proxy.displayTransaction
+ *   trace.events[0]
+ *   // { type: 'get', key: 'displayTransaction',
+ *   //   path: ['HashTransaction instance', 'HashTransaction.prototype',
+ *   //          'Object.prototype'],
+ *   //   hit: null, shadows: null, fellThrough: true }
+ *
+ * path lists every link that was looked at, hit is the one the property was
+ * found on (null when it wasn't found at all) and shadows is the next link
+ * further up that has the same key and is hidden by the hit. fellThrough is
+ * true when the lookup got all the way to Object.prototype.
+ *
+ * For a set, hit is the inherited setter or read-only property that decides
+ * the outcome, or the object itself when the value lands there as an own
+ * property (which may start shadowing something further up).
+ *
+ * Methods called on the proxy run with the proxy as this, so the lookups
+ * they make are traced as well. JSON.stringify(trace) exports the events.
+ *  */
+
+// walks from obj up to where key is found, or up to null
+function walk(obj, key, names) {
+  const links = []
+  for (
+    let current = obj, depth = 0;
+    current !== null;
+    current = Object.getPrototypeOf(current), depth++
+  ) {
+    const link = {
+      object: current,
+      depth,
+      label: labelOf(current, depth, names),
+    }
+    const descriptor = Object.getOwnPropertyDescriptor(current, key)
+    if (descriptor) {
+      return { links: [...links, link], found: link, descriptor }
+    }
+    links.push(link)
+  }
+  return { links, found: null, descriptor: undefined }
+}
+
+// the next link above `from` that also has key
+function shadowed({ object, depth }, key, names) {
+  for (
+    let current = Object.getPrototypeOf(object), d = depth + 1;
+    current !== null;
+    current = Object.getPrototypeOf(current), d++
+  ) {
+    if (Object.hasOwn(current, key)) {
+      return labelOf(current, d, names)
+    }
+  }
+  return null
+}
+
+function traceLookups(obj, { names = {} } = {}) {
+  const events = []
+
+  const record = (type, key, { links, found }) => {
+    const event = {
+      type,
+      key: keyName(key),
+      path: links.map(({ label }) => label),
+      hit: found ? found.label : null,
+      shadows: found ? shadowed(found, key, names) : null,
+      fellThrough: links.some(({ object }) => object === Object.prototype),
+    }
+    events.push(event)
+    return event
+  }
+
+  const proxy = new Proxy(obj, {
+    get(target, key, receiver) {
+      record('get', key, walk(target, key, names))
+      return Reflect.get(target, key, receiver)
+    },
+
+    has(target, key) {
+      record('has', key, walk(target, key, names))
+      return Reflect.has(target, key)
+    },
+
+    set(target, key, value, receiver) {
+      const lookup = walk(target, key, names)
+      const { descriptor } = lookup
+      const inherited = lookup.found && lookup.found.object !== target
+      // a plain inherited value doesn't stop the write: it lands on target
+      if (
+        inherited &&
+        descriptor.set === undefined &&
+        descriptor.get === undefined &&
+        descriptor.writable
+      ) {
+        lookup.found = lookup.links[0]
+      }
+      if (!lookup.found) {
+        lookup.found = lookup.links[0]
+      }
+      record('set', key, lookup)
+      return Reflect.set(target, key, value, receiver)
+    },
+  })
+
+  return {
+    proxy,
+    events,
+
+    clear() {
+      events.length = 0
+      return this
+    },
+
+    toJSON() {
+      return { events }
+    },
+  }
+}
+
+module.exports = { traceLookups }
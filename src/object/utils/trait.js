@@ -0,0 +1,211 @@
+/*
+ * Traits are mixins that say what they need. sayMixin quietly assumes
+ * this.name exists and HasHash assumes its keys do; a trait declares both
+ * what it provides and what it requires, and refuses to be used otherwise.
+ *
+ *   const Greets = Object.create(Trait).init({
+ *     name: 'Greets',
+ *     provides: sayMixin,
+ *     requires: { fields: ['name'] },
+ *   })
+ *
+ * - provides: the methods and fields the trait adds, as an object (its
+ *   property descriptors are copied, so getters/setters stay live)
+ * - requires.methods: methods the target must already have, or that another
+ *   trait in the same composition provides. Checked when the trait is
+ *   applied, so a missing one fails straight away.
+ * - requires.fields: data the provided methods read from `this`, checked
+ *   when the trait is applied as well. A prototype like Dog or
+ *   Transaction.prototype only gets those fields on its instances, so for
+ *   prototypes they are checked when a provided method is called instead.
+ *
+ * Two traits providing the same name never silently override each other:
+ * composeTraits throws until the conflict is resolved with
+ * trait.resolve({ alias, exclude }). A trait also refuses to replace a
+ * property the target has of its own; methods the target only inherits
+ * (Dog inheriting Animal's init) can be overridden, like in a subclass.
+ *
+ * Traits are applied the same way to plain objects, OLOO delegates like
+ * Dog and constructor prototypes like Transaction.prototype. A constructor's
+ * prototype is recognized as one; an OLOO delegate has to say so:
+ *
+ *   Greets.applyTo(Dog, { prototype: true })
+ *   composeTraits(Greets, Hashes).applyTo(Transaction.prototype)
+ *  */
+
+const { keyName } = require('./types')
+
+const applied = new WeakMap()
+
+// every trait applied to an object, in order
+function appliedTraits(obj) {
+  return [...(applied.get(obj) ?? [])]
+}
+
+// Transaction.prototype, but not a plain object or an OLOO delegate
+const isConstructorPrototype = (target) =>
+  Object.hasOwn(target, 'constructor') &&
+  target.constructor?.prototype === target
+
+function describeTarget(target) {
+  if (Object.hasOwn(target, 'constructor')) {
+    return `${target.constructor.name}.prototype`
+  }
+  return typeof target.name === 'string' ? target.name : 'the target'
+}
+
+// wraps a method so it checks the fields its trait relies on before running
+function checkingFields(trait, key, method) {
+  const { name, requires } = trait
+  const checked = function (...args) {
+    const missing = requires.fields.filter((field) => !(field in this))
+    if (missing.length > 0) {
+      throw new TypeError(
+        `${name}.${keyName(key)} requires field '${missing[0]}', which ${describeTarget(this)} doesn't have`,
+      )
+    }
+    return method.apply(this, args)
+  }
+  Object.defineProperty(checked, 'name', { value: method.name })
+  return checked
+}
+
+const Trait = {
+  init({ name = 'Trait', provides = {}, requires = {} } = {}) {
+    this.name = name
+    this.requires = {
+      methods: [...(requires.methods ?? [])],
+      fields: [...(requires.fields ?? [])],
+    }
+    this.provides = Object.getOwnPropertyDescriptors(provides)
+    // which trait each provided name came from, to report conflicts and to
+    // know which fields a provided method needs
+    this.sources = Object.fromEntries(
+      Reflect.ownKeys(this.provides).map((key) => [key, this]),
+    )
+    return this
+  },
+
+  /*
+   * A copy of the trait with some of what it provides renamed (alias maps
+   * old names to new ones) or left out (exclude). An excluded method
+   * becomes a requirement: the trait's other methods may still call it, so
+   * the target or another trait has to provide it.
+   *  */
+  resolve({ alias = {}, exclude = [] } = {}) {
+    for (const key of [...Object.keys(alias), ...exclude]) {
+      if (!Object.hasOwn(this.provides, key)) {
+        throw new Error(`${this.name} doesn't provide '${keyName(key)}'`)
+      }
+    }
+    const resolved = Object.create(Object.getPrototypeOf(this))
+    resolved.name = this.name
+    resolved.provides = {}
+    resolved.sources = {}
+    resolved.requires = {
+      methods: [...this.requires.methods, ...exclude],
+      fields: [...this.requires.fields],
+    }
+
+    for (const key of Reflect.ownKeys(this.provides)) {
+      if (exclude.includes(key)) {
+        continue
+      }
+      const target = Object.hasOwn(alias, key) ? alias[key] : key
+      if (Object.hasOwn(resolved.provides, target)) {
+        throw new Error(
+          `${this.name} can't alias '${keyName(key)}' to '${keyName(target)}', which it already provides`,
+        )
+      }
+      resolved.provides[target] = this.provides[key]
+      resolved.sources[target] = this.sources[key]
+    }
+    return resolved
+  },
+
+  /*
+   * Adds what the trait provides to target, after checking that target has
+   * the methods and fields the trait requires and doesn't already have a
+   * property of its own with the same name as one the trait provides. When
+   * target is a prototype, required fields are checked on each call to a
+   * provided method instead.
+   *  */
+  applyTo(target, { prototype = isConstructorPrototype(target) } = {}) {
+    const provided = Reflect.ownKeys(this.provides)
+
+    const missing = this.requires.methods.filter(
+      (key) => !provided.includes(key) && typeof target[key] !== 'function',
+    )
+    if (missing.length > 0) {
+      throw new Error(
+        `${this.name} requires method '${keyName(missing[0])}', which ${describeTarget(target)} doesn't have`,
+      )
+    }
+
+    const absent = prototype
+      ? []
+      : this.requires.fields.filter((field) => !(field in target))
+    if (absent.length > 0) {
+      throw new TypeError(
+        `${this.name} requires field '${absent[0]}', which ${describeTarget(target)} doesn't have`,
+      )
+    }
+
+    const clash = provided.find((key) => Object.hasOwn(target, key))
+    if (clash !== undefined) {
+      throw new Error(
+        `${this.sources[clash].name} conflicts with ${describeTarget(target)} on '${keyName(clash)}': exclude it or alias it`,
+      )
+    }
+
+    for (const key of provided) {
+      const descriptor = { ...this.provides[key] }
+      const source = this.sources[key]
+      if (
+        prototype &&
+        source.requires.fields.length > 0 &&
+        typeof descriptor.value === 'function'
+      ) {
+        descriptor.value = checkingFields(source, key, descriptor.value)
+      }
+      Object.defineProperty(target, key, descriptor)
+    }
+    applied.set(target, [...appliedTraits(target), this])
+    return target
+  },
+}
+
+/*
+ * One trait made of several. Names provided by more than one of them are a
+ * conflict, reported with the traits involved, unless they were resolved
+ * with alias/exclude first. A method required by one trait and provided by
+ * another is satisfied.
+ *  */
+function composeTraits(...traits) {
+  const composite = Object.create(Trait).init({
+    name: traits.map(({ name }) => name).join('+'),
+  })
+
+  for (const trait of traits) {
+    for (const key of Reflect.ownKeys(trait.provides)) {
+      if (Object.hasOwn(composite.provides, key)) {
+        throw new Error(
+          `${composite.sources[key].name} and ${trait.sources[key].name} both provide '${keyName(key)}': alias or exclude it in one of them`,
+        )
+      }
+      composite.provides[key] = trait.provides[key]
+      composite.sources[key] = trait.sources[key]
+    }
+  }
+
+  const provided = Reflect.ownKeys(composite.provides)
+  composite.requires = {
+    methods: [
+      ...new Set(traits.flatMap(({ requires }) => requires.methods)),
+    ].filter((key) => !provided.includes(key)),
+    fields: [...new Set(traits.flatMap(({ requires }) => requires.fields))],
+  }
+  return composite
+}
+
+module.exports = { Trait, composeTraits, appliedTraits }
@@ -0,0 +1,35 @@
+/*
+ * Type checks and message helpers shared by the utils: defineModel and
+ * mergeConfig validate against the same type names, and every util that
+ * names a key in an error message has to cope with symbol keys.
+ *  */
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+// the built-in type names; defineModel can register more of its own
+const types = Object.freeze({
+  any: () => true,
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  email: (value) =>
+    typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  function: (value) => typeof value === 'function',
+  array: (value) => Array.isArray(value),
+  object: (value) => isPlainObject(value),
+})
+
+// 'a string', 'an email'
+const article = (type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`)
+
+// symbols can't be put in a template string as they are
+const keyName = (key) => (typeof key === 'symbol' ? key.toString() : key)
+
+module.exports = { types, isPlainObject, article, keyName }